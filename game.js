@@ -4,7 +4,8 @@
  * Dark circuit-board environment. A probe navigates between PCB module
  * stations representing resume sections.
  *
- * Content lives in ./content/resume.json — edit that file to update text.
+ * Content lives in ./content/resume.json — edit that file to update text
+ * and station layout (per-section `station` blocks).
  *
  * Controls
  *   Move:  WASD or Arrow keys
@@ -21,76 +22,201 @@
 
 'use strict';
 
-// ─── Palette ───────────────────────────────────────────────────────────────
-
-const NEON     = 0x00E5FF;   // primary cyan
-const NEON_G   = 0x3CFF7F;   // accent green
-const PCB_BG   = 0x0A0F1C;   // substrate dark
-const PCB_MID  = 0x0B1628;   // module body
-const PCB_GRID = 0x14243A;   // via-hole dots
+// ─── Palette (themes) ──────────────────────────────────────────────────────
+// One definition per theme drives both the Phaser drawing (via `palette`) and
+// resume.css (via CSS custom properties, see applyTheme). resume.json may
+// override any of these or add its own under `theme.themes`.
+
+const THEMES = {
+  pcb: {
+    label:       'PCB (dark)',
+    scheme:      'dark',
+    neon:        '#00E5FF',   // primary: traces, probe, UI accent
+    neonG:       '#3CFF7F',   // accent green
+    bg:          '#0A0F1C',   // substrate
+    mid:         '#0B1628',   // module body
+    grid:        '#14243A',   // via-hole dots
+    silk:        '#0D2035',   // silkscreen text
+    labelText:   '#00E5FF',   // module label text
+    labelStroke: '#000000',
+    panel:       '#080E1C',   // sidebar / callout background
+    text:        '#B8E8F4',
+    textBright:  '#FFFFFF',
+    search:      '#FFD23F',
+    skill:       '#FF4FD8',
+    skillText:   '#FF9DEB',
+    danger:      '#FF4466',
+    warn:        '#FF9F1C',
+    neonDim:     0.40,        // alpha of --neon-dim (secondary UI text)
+    textDim:     0.50,        // alpha of --text-dim
+    border:      0.20,        // alpha of --pcb-border-mid
+  },
+  solder: {
+    label:       'Solder mask (light)',
+    scheme:      'light',
+    neon:        '#8A5200',   // copper
+    neonG:       '#1B7F3A',
+    bg:          '#CFE6CF',
+    mid:         '#1D2A22',   // black IC packages
+    grid:        '#B3D1B2',
+    silk:        '#F7FBF5',   // white silkscreen
+    labelText:   '#F3F9F1',
+    labelStroke: '#000000',
+    panel:       '#F3F9F1',
+    text:        '#173222',
+    textBright:  '#06140B',
+    search:      '#8A6000',
+    skill:       '#B0127E',
+    skillText:   '#8E0C66',
+    danger:      '#B3002D',
+    warn:        '#9A4A00',
+    neonDim:     0.80,
+    textDim:     0.72,
+    border:      0.35,
+  },
+  // WCAG AA: every text colour here is ≥ 4.5:1 against its background
+  contrast: {
+    label:       'High contrast',
+    scheme:      'dark',
+    neon:        '#FFE600',
+    neonG:       '#00FF66',
+    bg:          '#000000',
+    mid:         '#000000',
+    grid:        '#333333',
+    silk:        '#5A5A5A',
+    labelText:   '#FFFFFF',
+    labelStroke: '#000000',
+    panel:       '#000000',
+    text:        '#FFFFFF',
+    textBright:  '#FFFFFF',
+    search:      '#00E5FF',
+    skill:       '#FF66FF',
+    skillText:   '#FF99FF',
+    danger:      '#FF6680',
+    warn:        '#FFB347',
+    neonDim:     0.85,
+    textDim:     0.85,
+    border:      0.60,
+  },
+};
+
+// Numeric (0xRRGGBB) colours of the active theme for Phaser; filled by applyTheme().
+const palette = {};
+let currentTheme = THEMES.pcb;   // active theme definition (CSS colour strings)
 
 // ─── World & Physics ───────────────────────────────────────────────────────
 
-const WORLD_W      = 1200;
-const WORLD_H      = 900;
 const PLAYER_SPEED = 180;
-const INTERACT_R   = 88;   // radius for proximity glow + callout
-// Distance beyond which the callout shows "Signal lost" and fades:
-const SIGNAL_LOST_R = 180;
+const ROUTE_SPEED  = 320;  // tap-to-travel speed along traces
+// Analog sticks (gamepad + on-screen) ignore input below this magnitude:
+const STICK_DEADZONE = 0.18;
+// On-screen stick: max knob travel from centre (px):
+const TOUCH_STICK_R  = 42;
+// Module chip body (drawn + static physics body) — proximity is measured from its edge:
+const MODULE_W = 90;
+const MODULE_H = 44;
+const INTERACT_R   = 56;   // distance from a module's edge for proximity glow + callout
+// Distance from the module's edge beyond which the callout shows "Signal lost" and fades:
+const SIGNAL_LOST_R = 150;
 // Callout offset from station screen position (px):
 const CALLOUT_OFFSET = 36;
 // Preview bullet count shown in callout:
 const CALLOUT_BULLET_PREVIEW = 2;
 // Callout viewport padding (px) — keep callout this far from edge:
 const CALLOUT_VIEWPORT_PAD = 12;
+// Probe parks this far below a station when deep-linked / flown to it (< INTERACT_R):
+const APPROACH_OFFSET = 56;
+// Station opacity when it is outside the active audience track:
+const OFF_TRACK_ALPHA = 0.22;
+// Characters of context either side of a match in search snippets:
+const SNIPPET_RADIUS = 34;
+// Rest this long beside a module with more than the callout shows to decap it (ms):
+const INTERIOR_DWELL_MS = 3000;
+// Camera zoom: wheel / pinch go from "whole layout fits" up to ZOOM_MAX:
+const ZOOM_MAX        = 2;
+const WHEEL_ZOOM_STEP = 0.0012;  // exponential zoom per wheel delta px
+const OVERVIEW_MS     = 500;     // overview in/out camera tween
+// Skill signal trace: pulse speed (px/ms) and pulses per routed path:
+const SKILL_PULSE_SPEED  = 0.22;
+const SKILL_PULSES_EACH  = 3;
+
+// ─── Board Generation ──────────────────────────────────────────────────────
+// Board size, trace grid, pads and pulse traces are generated from the
+// sections (see generateBoard / buildStationDefs): one row of modules per
+// group, seeded jitter so it reads as hand-routed but is stable per résumé.
+const BOARD_MARGIN    = 140;  // outer primary traces sit this far in from the edge
+const BOARD_COL_PITCH = 230;  // nominal spacing of vertical primary traces
+const BOARD_ROW_PITCH = 200;  // > MODULE_H + 2 × INTERACT_R, so stacked modules never overlap
+const BOARD_JITTER    = 8;    // ± px seeded wobble per trace
+const BOARD_MIN_COLS  = 4;
+const BOARD_MAX_COLS  = 6;    // a group with more stations wraps onto another row
+const BOARD_MIN_W     = 960;
+const BOARD_MIN_H     = 720;
+// Default module colour per group (cycled) when a station sets none:
+const GROUP_COLORS    = ['neon', 'neon-g', '#FF6B9D', '#FF9F1C', '#AA7CFF'];
+
+// ─── Timeline Layout ───────────────────────────────────────────────────────
+// Timeline mode strings dated stations along one horizontal bus, alternating
+// above/below it, with a stub trace back to each role's start date.
+const TIMELINE_BUS_Y    = 450;
+const TIMELINE_MARGIN   = 120;  // bus x range: margin .. board.width - margin
+const TIMELINE_OFFSET   = 110;  // station centre distance from the bus
+const TIMELINE_BAND     = 260;  // camera/physics half-height around the bus
 
 // ─── Station Definitions ───────────────────────────────────────────────────
-// id must match a section id in resume.json.
-// Positions align with the circuit-trace grid drawn in _drawWorld().
+// Fallback layout for sections that carry no `station` block (and have no
+// entry in the top-level `layout` block) in resume.json.
+// id must match a section id in resume.json. Coordinates date from the fixed
+// 1200×900 board; each entry takes the grid cell they land in (see cellAt).
 
 const STATIONS = [
   // ── Top row: Core Profiles ─────────────────────────────────────────
-  { id: 'summary-software',      x: 360,  y: 150, color: NEON,     label: 'CORE.SW'     },
-  { id: 'summary-security',      x: 840,  y: 150, color: NEON_G,   label: 'CORE.SEC'    },
+  { id: 'summary-software',      x: 360,  y: 150, color: 'neon',   label: 'CORE.SW'     },
+  { id: 'summary-security',      x: 840,  y: 150, color: 'neon-g', label: 'CORE.SEC'    },
   // ── Upper sides: Stacks ────────────────────────────────────────────
-  { id: 'core-skills-software',  x: 140,  y: 300, color: NEON,     label: 'STACK.SW'    },
-  { id: 'core-skills-security',  x: 1060, y: 300, color: NEON_G,   label: 'STACK.SEC'   },
+  { id: 'core-skills-software',  x: 140,  y: 300, color: 'neon',   label: 'STACK.SW'    },
+  { id: 'core-skills-security',  x: 1060, y: 300, color: 'neon-g', label: 'STACK.SEC'   },
   // ── Middle band: Recent Experience ────────────────────────────────
   { id: 'experience-humana',     x: 200,  y: 440, color: 0xFF6B9D, label: 'EXP.HUMANA'  },
   { id: 'experience-paladin',    x: 600,  y: 340, color: 0xFF9F1C, label: 'EXP.PALADIN' },
-  { id: 'experience-ng-2023',    x: 1000, y: 440, color: NEON,     label: 'EXP.NG-23'   },
+  { id: 'experience-ng-2023',    x: 1000, y: 440, color: 'neon',   label: 'EXP.NG-23'   },
   // ── Lower band: Earlier Experience ────────────────────────────────
   { id: 'experience-ng-ia-2020', x: 600,  y: 540, color: 0xAA7CFF, label: 'EXP.NG-IA'  },
   { id: 'experience-utah-dcfs',  x: 200,  y: 600, color: 0xFF6B9D, label: 'EXP.DCFS'   },
   { id: 'experience-earlier',    x: 1000, y: 600, color: 0xAA7CFF, label: 'EXP.PRIOR'  },
   // ── Bottom row: Education & Links ─────────────────────────────────
   { id: 'education-certs',       x: 380,  y: 760, color: 0xFF9F1C, label: 'CREDENTIALS' },
-  { id: 'links',                 x: 820,  y: 760, color: NEON_G,   label: 'I/O PORTS'   },
-];
-
-// ─── Pulse Trace Definitions ───────────────────────────────────────────────
-// Signal pulses animate along these segments each frame.
-
-const PULSE_TRACES = [
-  { x1: 20,   y1: 150, x2: 1180, y2: 150,  speed: 0.28 }, // top bus  →
-  { x1: 1180, y1: 300, x2: 20,   y2: 300,  speed: 0.22 }, // 2nd row  ←
-  { x1: 20,   y1: 440, x2: 1180, y2: 440,  speed: 0.35 }, // mid bus  →
-  { x1: 1180, y1: 600, x2: 20,   y2: 600,  speed: 0.30 }, // 4th row  ←
-  { x1: 100,  y1: 760, x2: 1100, y2: 760,  speed: 0.40 }, // bottom   →
-  { x1: 360,  y1: 20,  x2: 360,  y2: 880,  speed: 0.25 }, // col 2    ↓
-  { x1: 600,  y1: 880, x2: 600,  y2: 20,   speed: 0.32 }, // col 3    ↑
-  { x1: 840,  y1: 20,  x2: 840,  y2: 880,  speed: 0.28 }, // col 4    ↓
-  { x1: 140,  y1: 880, x2: 140,  y2: 20,   speed: 0.20 }, // col 1    ↑
-  { x1: 1060, y1: 20,  x2: 1060, y2: 880,  speed: 0.38 }, // col 5    ↓
+  { id: 'links',                 x: 820,  y: 760, color: 'neon-g', label: 'I/O PORTS'   },
 ];
 
 // ─── Module-level shared state ─────────────────────────────────────────────
 
 let sectionMap        = {};   // { id → section } built from resume.json
+let stationDefs       = [];   // resolved station layout (see buildStationDefs)
+let board             = generateBoard(5, 5, 1); // replaced once resume.json is in
+let resumeMeta        = {};   // resume.json `meta` block (name, contact, titles)
 let calloutOpen       = false;
 let calloutStationId  = null; // id of station currently shown in callout
 let lastAutoOpenedId  = null; // prevents re-firing callout every frame
 let activeScene       = null; // reference to live GameScene for coord queries
+let phaserGame        = null; // Phaser.Game — created lazily by startGame()
+let textMode          = false; // true while the linear text résumé replaces the board
+const touchStick      = { x: 0, y: 0, active: false }; // on-screen stick, -1..1 per axis
+const visitedIds      = new Set(); // inspected section ids (persisted, see markVisited)
+let activeTrack       = null; // audience track (a section tag) or null for all
+let readoutSectionId  = null; // section currently shown in the sidebar readout
+let searchQuery       = '';   // active index search, lower-cased ('' = off)
+let searchFocusId     = null; // search result last picked (strongest glow)
+const searchHitIds    = new Set(); // sections matching searchQuery
+let typingInField     = false; // a text field has focus — game keys released
+let activeSkill       = null; // skill whose signal trace is shown, or null
+let layoutMode        = 'board'; // 'board' (trace grid) | 'timeline' (date bus)
+let timelineDefs      = [];   // dated stations laid out by date (see buildTimelineDefs)
+let railMode          = false; // probe movement locked to the primary traces (see _railMove)
+let focusedStationId  = null; // module picked with Tab / Shift-Tab (ringed while the board has focus)
+let editMode          = false; // ?edit — stations draggable, readout becomes a form
+let resumeData        = null; // ?edit working copy of resume.json (raw, unvalidated)
+let interiorSectionId = null; // section whose decapped interior (InteriorScene) is open
 
 // ─────────────────────────────────────────────────────────────────────────────
 //  Phaser Scene
@@ -100,13 +226,30 @@ class GameScene extends Phaser.Scene {
 
   constructor() {
     super('GameScene');
-    this._stations            = [];   // { def, text }
+    this._stations            = [];   // { def, text, body }
+    this._stationById         = new Map(); // id → entry of _stations
+    this._solids              = null; // static Arcade bodies of the chips
+    this._railSegments        = [];   // trace segments the probe runs on in rail mode
+    this._railHeading         = [0, 0]; // last rail direction (held through a pending turn)
     this._pulses              = [];   // animated pulse state objects
+    this._skillPulses         = [];   // pulses along the active skill's trace
+    this._skillPaths          = [];   // routed polylines linking skill stations
     this._pulseGraphics       = null;
     this._glowGraphics        = null;
     this._leaderGraphics      = null; // unused (SVG used instead)
     this._nearestSceneStation = null; // station used by _updateGlow
     this._leaderPulseT        = 0;    // 0..1 along leader line
+    this._lastView            = {};   // camera scroll/zoom + probe position last frame
+    this._zoom                = 1;    // follow-camera zoom (wheel / pinch), kept across restarts
+    this._overview            = false; // camera zoomed out to the whole layout (M)
+    this._labelZoom           = null; // camera zoom the station labels were scaled for
+    this._pinch               = null; // { dist, zoom } while two touches pinch
+    this._travelTween         = null; // active flyToStation() tween
+    this._route               = [];   // remaining tap-to-travel waypoints
+    this._dwell               = { ms: 0, x: 0, y: 0 }; // probe resting beside a module
+    this._decappedId          = null; // module entered this visit (no re-dwell until left)
+    this._routeGraphics       = null;
+    this._spawnAt             = null; // probe position kept across redraw()
     this.player               = null;
     this.cursors              = null;
     this.wasd                 = null;
@@ -116,47 +259,121 @@ class GameScene extends Phaser.Scene {
 
   create() {
     activeScene = this;
+    // create() also runs on scene.restart() when the layout mode changes
+    this._route               = [];
+    this._travelTween         = null;
+    this._nearestSceneStation = null;
+    this._overview            = false;
+    this._labelZoom           = null;
+    this._pinch               = null;
+    this._dwell.ms            = 0;
+    this._decappedId          = null;
+    lastAutoOpenedId          = null;
     this._makeTextures();
     this._drawWorld();
     this._initPulses();
+    this._railSegments = buildRailSegments();
     this._createPlayer();
+    this._solids = this.physics.add.staticGroup();
     this._createStations();
+    // Chips are solid while steering freely; rails and routed travel run through them
+    this.physics.add.collider(this.player, this._solids, null,
+      () => !railMode && !this._travelTween && !this._route.length);
     this._setupCamera();
     this._setupInput();
     this._pulseGraphics = this.add.graphics().setDepth(1);
+    this._routeGraphics = this.add.graphics().setDepth(3);
     this._glowGraphics  = this.add.graphics().setDepth(5);
+    this.setSkillTrace(activeSkill);
+    syncGameKeyboard();
+    // Into a module interior (no re-dwell until the module is left) and back:
+    // keys held across the switch are stale
+    const onSleep = () => {
+      this._decappedId = interiorSectionId;
+      this._dwell.ms   = 0;
+    };
+    const onWake = () => {
+      this.input.keyboard.resetKeys();
+      syncGameKeyboard();
+      invalidateGeometry();
+    };
+    this.scale.on('resize', invalidateGeometry);
+    this.events.on('sleep', onSleep);
+    this.events.on('wake', onWake);
+    this.events.once('shutdown', () => {
+      this.scale.off('resize', invalidateGeometry);
+      this.events.off('sleep', onSleep);
+      this.events.off('wake', onWake);
+    });
+    invalidateGeometry();
   }
 
   update() {
     this._handleMovement();
+    this._drawRoute();
     this._checkProximity();
+    this._checkDwell();
     this._updatePulses();
     this._updateGlow();
-    this._updateCalloutPosition();
-    this._updateLeaderLine();
+    if (this.cameras.main.zoom !== this._labelZoom) this._scaleLabels();
+    // DOM overlays only follow when something moved (see overlayGeometry)
+    const moved = this._viewChanged();
+    if (moved) {
+      this._updateCalloutPosition();
+      updateMinimapViewport(this.player, this.cameras.main.worldView);
+    }
+    this._updateLeaderLine(moved);
+    this._sleepIfIdle();
+  }
+
+  /** Camera or probe moved since last frame, or the overlay geometry was invalidated. */
+  _viewChanged() {
+    const cam = this.cameras.main, v = this._lastView;
+    const changed = overlayDirty ||
+      cam.scrollX !== v.scrollX || cam.scrollY !== v.scrollY || cam.zoom !== v.zoom ||
+      this.player.x !== v.x || this.player.y !== v.y;
+    v.scrollX = cam.scrollX; v.scrollY = cam.scrollY; v.zoom = cam.zoom;
+    v.x = this.player.x;     v.y = this.player.y;
+    overlayDirty = false;
+    return changed;
+  }
+
+  /**
+   * Nothing to animate but the ambient pulses and no input for IDLE_SLEEP_MS:
+   * put the game loop to sleep. Any input wakes it (see watchActivity); a
+   * connected gamepad keeps it running, since pads are only read by the loop.
+   */
+  _sleepIfIdle() {
+    if (performance.now() - lastActivity < IDLE_SLEEP_MS) return;
+    const body = this.player.body;
+    if (body.velocity.x || body.velocity.y || this._travelTween || this._route.length) return;
+    if (touchStick.active) return;   // a stick held still sends no events (and rails don't use velocity)
+    if (this.input.gamepad && this.input.gamepad.total) return;
+    sleepLoop();
   }
 
   // ── Texture: probe reticle ─────────────────────────────────────────
 
   _makeTextures() {
+    if (this.textures.exists('probe')) this.textures.remove('probe');   // theme may have changed
     const pg = this.add.graphics();
     const cx = 16, cy = 16;
 
-    pg.fillStyle(NEON, 0.05); pg.fillCircle(cx, cy, 16);
-    pg.fillStyle(NEON, 0.10); pg.fillCircle(cx, cy, 11);
-    pg.lineStyle(1.5, NEON, 0.90); pg.strokeCircle(cx, cy, 8);
-    pg.lineStyle(1.5, NEON, 0.80);
+    pg.fillStyle(palette.neon, 0.05); pg.fillCircle(cx, cy, 16);
+    pg.fillStyle(palette.neon, 0.10); pg.fillCircle(cx, cy, 11);
+    pg.lineStyle(1.5, palette.neon, 0.90); pg.strokeCircle(cx, cy, 8);
+    pg.lineStyle(1.5, palette.neon, 0.80);
     pg.lineBetween(cx, cy - 12, cx, cy - 10);
     pg.lineBetween(cx, cy + 10, cx, cy + 12);
     pg.lineBetween(cx - 12, cy, cx - 10, cy);
     pg.lineBetween(cx + 10, cy, cx + 12, cy);
-    pg.lineStyle(1, NEON, 0.45);
+    pg.lineStyle(1, palette.neon, 0.45);
     pg.lineBetween(cx, cy - 6, cx, cy - 3);
     pg.lineBetween(cx, cy + 3, cx, cy + 6);
     pg.lineBetween(cx - 6, cy, cx - 3, cy);
     pg.lineBetween(cx + 3, cy, cx + 6, cy);
     pg.fillStyle(0xFFFFFF, 0.95); pg.fillCircle(cx, cy, 1.5);
-    pg.fillStyle(NEON,     1.00); pg.fillCircle(cx, cy, 1.0);
+    pg.fillStyle(palette.neon,     1.00); pg.fillCircle(cx, cy, 1.0);
     pg.generateTexture('probe', 32, 32);
     pg.destroy();
   }
@@ -165,48 +382,51 @@ class GameScene extends Phaser.Scene {
 
   _drawWorld() {
     const g = this.add.graphics().setDepth(0);
+    const W = board.width, H = board.height;
 
-    g.fillStyle(PCB_BG, 1);
-    g.fillRect(0, 0, WORLD_W, WORLD_H);
+    g.fillStyle(palette.bg, 1);
+    g.fillRect(0, 0, W, H);
 
     // Via-hole dot grid (every 40 px)
-    g.fillStyle(PCB_GRID, 1);
-    for (let gx = 40; gx < WORLD_W; gx += 40)
-      for (let gy = 40; gy < WORLD_H; gy += 40)
+    g.fillStyle(palette.grid, 1);
+    for (let gx = 40; gx < W; gx += 40)
+      for (let gy = 40; gy < H; gy += 40)
         g.fillCircle(gx, gy, 1.5);
 
     // Secondary traces (very dim)
-    g.lineStyle(1, NEON, 0.06);
-    for (const y of [225, 390, 500, 660]) g.lineBetween(20, y, WORLD_W - 20, y);
-    for (const x of [260, 480, 720, 950]) g.lineBetween(x, 20, x, WORLD_H - 20);
-
-    // Primary horizontal traces
-    g.lineStyle(1.5, NEON, 0.20);
-    for (const y of [150, 300, 440, 600, 760]) g.lineBetween(20, y, WORLD_W - 20, y);
-
-    // Primary vertical traces
-    for (const x of [140, 360, 600, 840, 1060]) g.lineBetween(x, 20, x, WORLD_H - 20);
+    g.lineStyle(1, palette.neon, 0.06);
+    for (const y of board.secondaryRows) g.lineBetween(20, y, W - 20, y);
+    for (const x of board.secondaryCols) g.lineBetween(x, 20, x, H - 20);
+
+    // Primary traces (grid, or bus + stubs in timeline mode)
+    for (const pts of layoutTraces()) {
+      g.lineStyle(pts.bus ? 2.5 : 1.5, palette.neon, pts.bus ? 0.34 : 0.20);
+      g.beginPath();
+      g.moveTo(pts[0].x, pts[0].y);
+      for (let i = 1; i < pts.length; i++) g.lineTo(pts[i].x, pts[i].y);
+      g.strokePath();
+    }
 
     // Pad circles at intersections
-    g.fillStyle(NEON, 0.28);
-    for (const y of [150, 300, 440, 600, 760]) {
-      for (const x of [140, 360, 600, 840, 1060]) {
-        g.fillCircle(x, y, 3.5);
-        g.lineStyle(1, NEON, 0.15); g.strokeCircle(x, y, 6);
-      }
+    g.fillStyle(palette.neon, 0.28);
+    for (const { x, y } of layoutPads()) {
+      g.fillCircle(x, y, 3.5);
+      g.lineStyle(1, palette.neon, 0.15); g.strokeCircle(x, y, 6);
     }
 
+    if (layoutMode === 'timeline') this._drawTimelineScale();
+
     // World border frame
-    g.lineStyle(1.5, NEON, 0.35); g.strokeRect(6, 6, WORLD_W - 12, WORLD_H - 12);
+    g.lineStyle(1.5, palette.neon, 0.35); g.strokeRect(6, 6, W - 12, H - 12);
 
     // Corner accent brackets
     const B = 22;
-    g.lineStyle(2, NEON, 0.80);
+    g.lineStyle(2, palette.neon, 0.80);
     for (const [cx, cy, sx, sy] of [
-      [6,         6,         1,  1 ],
-      [WORLD_W-6, 6,         -1, 1 ],
-      [6,         WORLD_H-6, 1,  -1],
-      [WORLD_W-6, WORLD_H-6, -1, -1],
+      [6,   6,   1,  1 ],
+      [W-6, 6,   -1, 1 ],
+      [6,   H-6, 1,  -1],
+      [W-6, H-6, -1, -1],
     ]) {
       g.lineBetween(cx, cy, cx + sx * B, cy);
       g.lineBetween(cx, cy, cx, cy + sy * B);
@@ -214,31 +434,70 @@ class GameScene extends Phaser.Scene {
 
     // Silkscreen text (decorative)
     for (const [tx, ty, anchor, str] of [
-      [26,         24,         0, 'REV 3.0'   ],
-      [WORLD_W-26, 24,         1, 'BRENDON.E' ],
-      [26,         WORLD_H-24, 0, 'LAYER 01'  ],
-      [WORLD_W-26, WORLD_H-24, 1, '© 2025'    ],
+      [26,   24,   0, 'REV 3.0'   ],
+      [W-26, 24,   1, silkscreenTag(resumeMeta.name) ],
+      [26,   H-24, 0, 'LAYER 01'  ],
+      [W-26, H-24, 1, '© 2025'    ],
     ]) {
       this.add.text(tx, ty, str, {
-        fontSize: '9px', fontFamily: '"Courier New", monospace', color: '#0D2035',
+        fontSize: '9px', fontFamily: '"Courier New", monospace', color: currentTheme.silk,
       }).setDepth(0).setOrigin(anchor, 0.5);
     }
   }
 
+  // ── Timeline mode: year ticks along the bus + a date tag per role ──
+
+  _drawTimelineScale() {
+    const span = timelineSpan();
+    if (!span) return;
+    const g = this.add.graphics().setDepth(0);
+    const style = { fontSize: '9px', fontFamily: '"Courier New", monospace', color: currentTheme.text };
+    const step = Math.max(1, Math.ceil((span.end - span.start) / 12));
+
+    g.lineStyle(1, palette.neon, 0.30);
+    for (let year = Math.ceil(span.start); year <= span.end; year += step) {
+      const x = timelineX(year, span);
+      g.lineBetween(x, TIMELINE_BUS_Y - 5, x, TIMELINE_BUS_Y + 5);
+      this.add.text(x, TIMELINE_BUS_Y + 9, String(year), style).setOrigin(0.5, 0).setDepth(0).setAlpha(0.45);
+    }
+    for (const def of timelineDefs) {
+      const above = def.y < TIMELINE_BUS_Y;
+      this.add.text(def.x, def.y + (above ? -30 : 30), formatDateRange(def.dates), style)
+        .setOrigin(0.5, above ? 1 : 0).setDepth(0).setAlpha(0.45);
+    }
+  }
+
   // ── Pulse state ────────────────────────────────────────────────────
 
   _initPulses() {
-    this._pulses = PULSE_TRACES.map((tr, i) => ({
-      ...tr,
-      t: i / PULSE_TRACES.length,
-    }));
+    if (layoutMode === 'timeline') {
+      this._pulses = [0.26, 0.34, 0.30].map((speed, i) => makePulse(
+        [{ x: 20, y: TIMELINE_BUS_Y }, { x: board.width - 20, y: TIMELINE_BUS_Y }],
+        speed * 0.0001, palette.neon, i / 3));
+      return;
+    }
+    this._pulses = board.pulses.map((tr, i) => makePulse(
+      [{ x: tr.x1, y: tr.y1 }, { x: tr.x2, y: tr.y2 }],
+      tr.speed * 0.0001,
+      palette.neon,
+      i / board.pulses.length,
+    ));
   }
 
   // ── Player ────────────────────────────────────────────────────────
 
   _createPlayer() {
-    this.physics.world.setBounds(0, 0, WORLD_W, WORLD_H);
-    this.player = this.physics.add.sprite(600, 80, 'probe');
+    const b = layoutBounds();
+    this.physics.world.setBounds(b.x, b.y, b.width, b.height);
+    // Top centre of the board, in the lane above the first row of modules;
+    // a deep link (#section-id) spawns the probe beside that station instead
+    const linked = activeStationDefs().find(d => d.id === sectionIdFromHash());
+    const spawn  = this._spawnAt ? this._spawnAt
+                 : linked ? approachPoint(linked)
+                 : layoutMode === 'timeline' ? { x: 40, y: TIMELINE_BUS_Y }
+                 : { x: Math.round(board.width / 2), y: Math.round(board.rows[0] / 2) };
+    this._spawnAt = null;
+    this.player = this.physics.add.sprite(spawn.x, spawn.y, 'probe');
     this.player.setCollideWorldBounds(true);
     this.player.setDepth(8);
   }
@@ -246,46 +505,103 @@ class GameScene extends Phaser.Scene {
   // ── Stations: IC chip modules ──────────────────────────────────────
 
   _createStations() {
-    this._stations = [];
-    const bg = this.add.graphics().setDepth(2);
+    this._stations = activeStationDefs().map(def => this._createStation(def));
+    this._stationById = new Map(this._stations.map(s => [s.def.id, s]));
+    this.applyTrack();
+  }
+
+  _createStation(def) {
+    // One Graphics per module (drawn around its own origin) so a station
+    // can be dimmed for off-track audiences independently.
+    const body = this.add.graphics().setDepth(2).setPosition(def.x, def.y);
+    this._drawModuleBody(body, 0, 0, parseStationColor(def.color));
+
+    const text = this.add.text(def.x, def.y, def.label, {
+      fontSize:        '9px',
+      fontFamily:      '"Courier New", monospace',
+      color:           currentTheme.labelText,
+      align:           'center',
+      wordWrap:        { width: 82, useAdvancedWrap: false },
+      stroke:          currentTheme.labelStroke,
+      strokeThickness: 2,
+    }).setOrigin(0.5, 0.5).setDepth(4).setScale(this._labelScale());
+
+    const solid = this.add.zone(def.x, def.y, MODULE_W, MODULE_H);
+    this.physics.add.existing(solid, true);
+    this._solids.add(solid);
+
+    // ?edit: modules on the trace grid can be dragged to another intersection
+    if (editMode && layoutMode === 'board') {
+      body.setInteractive(new Phaser.Geom.Rectangle(-MODULE_W / 2, -MODULE_H / 2, MODULE_W, MODULE_H),
+        Phaser.Geom.Rectangle.Contains);
+      this.input.setDraggable(body);
+    }
 
-    for (const def of STATIONS) {
-      this._drawModuleBody(bg, def.x, def.y, def.color);
+    return { def, text, body, solid };
+  }
+
+  // ── Public: hot reload — diff station modules in place ────────────
+
+  /**
+   * Bring the live modules in line with activeStationDefs(): unchanged ones
+   * stay, moved/relabelled/recoloured ones are rebuilt, others are added or
+   * removed. The probe is not touched.
+   */
+  syncStations() {
+    const defs = new Map(activeStationDefs().map(d => [d.id, d]));
+    this._stations = this._stations.filter(s => {
+      const def = defs.get(s.def.id);
+      if (def && def.x === s.def.x && def.y === s.def.y &&
+          def.color === s.def.color && def.label === s.def.label) {
+        s.def = def;
+        return true;
+      }
+      s.body.destroy();
+      s.text.destroy();
+      s.solid.destroy();
+      return false;
+    });
+    const live = new Set(this._stations.map(s => s.def.id));
+    for (const def of defs.values()) {
+      if (!live.has(def.id)) this._stations.push(this._createStation(def));
+    }
+    this._stationById = new Map(this._stations.map(s => [s.def.id, s]));
+    this._railSegments = buildRailSegments();   // timeline stubs follow the stations
+    this._nearestSceneStation = null;
+    this.applyTrack();
+    this.setSkillTrace(activeSkill);
+  }
 
-      const text = this.add.text(def.x, def.y, def.label, {
-        fontSize:        '9px',
-        fontFamily:      '"Courier New", monospace',
-        color:           '#00E5FF',
-        align:           'center',
-        wordWrap:        { width: 82, useAdvancedWrap: false },
-        stroke:          '#000000',
-        strokeThickness: 2,
-      }).setOrigin(0.5, 0.5).setDepth(4);
+  // ── Public: dim stations outside the active audience track ────────
 
-      this._stations.push({ def, text });
+  applyTrack() {
+    for (const s of this._stations) {
+      const alpha = isOnTrack(s.def.id) ? 1 : OFF_TRACK_ALPHA;
+      s.body.setAlpha(alpha);
+      s.text.setAlpha(alpha);
     }
   }
 
   _drawModuleBody(g, cx, cy, accentColor) {
-    const W = 90, H = 44;
+    const W = MODULE_W, H = MODULE_H;
     const hw = W / 2, hh = H / 2;
     const PIN_LEN = 10;
     const PINS = [-14, 0, 14];
 
-    g.fillStyle(PCB_MID, 1);
+    g.fillStyle(palette.mid, 1);
     g.fillRect(cx - hw, cy - hh, W, H);
-    g.lineStyle(1, NEON, 0.035);
+    g.lineStyle(1, palette.neon, 0.035);
     for (let ly = cy - hh + 9; ly < cy + hh; ly += 9)
       g.lineBetween(cx - hw + 3, ly, cx + hw - 3, ly);
-    g.lineStyle(1.5, NEON, 0.42);
+    g.lineStyle(1.5, accentColor, 0.42);
     g.strokeRect(cx - hw, cy - hh, W, H);
-    g.fillStyle(NEON, 0.70); g.fillCircle(cx - hw + 5, cy - hh + 5, 2.5);
-    g.lineStyle(1, NEON, 0.38);
+    g.fillStyle(accentColor, 0.70); g.fillCircle(cx - hw + 5, cy - hh + 5, 2.5);
+    g.lineStyle(1, palette.neon, 0.38);
     for (const po of PINS) {
       const py = cy + po;
       g.lineBetween(cx - hw - PIN_LEN, py, cx - hw, py);
       g.lineBetween(cx + hw, py, cx + hw + PIN_LEN, py);
-      g.fillStyle(NEON, 0.40);
+      g.fillStyle(palette.neon, 0.40);
       g.fillRect(cx - hw - PIN_LEN - 2, py - 2, 4, 4);
       g.fillRect(cx + hw + PIN_LEN - 2, py - 2, 4, 4);
     }
@@ -294,39 +610,221 @@ class GameScene extends Phaser.Scene {
   // ── Camera ────────────────────────────────────────────────────────
 
   _setupCamera() {
-    this.cameras.main.setBounds(0, 0, WORLD_W, WORLD_H);
+    const b = layoutBounds();
+    this.cameras.main.setBounds(b.x, b.y, b.width, b.height);
+    this.cameras.main.setBackgroundColor(palette.bg);
+    this._zoom = Phaser.Math.Clamp(this._zoom, this._fitZoom(), ZOOM_MAX);
+    this.cameras.main.setZoom(this._zoom);
     this.cameras.main.startFollow(this.player, true, 0.1, 0.1);
+    document.getElementById('overview-toggle').setAttribute('aria-pressed', 'false');
+  }
+
+  // ── Camera: zoom + overview ───────────────────────────────────────
+
+  /** Zoom at which the whole layout fits the view — the lower zoom limit. */
+  _fitZoom() {
+    const b = layoutBounds(), cam = this.cameras.main;
+    return Math.min(1, cam.width / b.width, cam.height / b.height);
+  }
+
+  /** Zoomed out, labels keep their zoom-1 screen size so every station stays legible. */
+  _labelScale() {
+    return Math.max(1, 1 / this.cameras.main.zoom);
+  }
+
+  _scaleLabels() {
+    this._labelZoom = this.cameras.main.zoom;
+    const k = this._labelScale();
+    for (const s of this._stations) s.text.setScale(k);
+  }
+
+  /** Follow-camera zoom (wheel / pinch), clamped between the fit zoom and ZOOM_MAX. */
+  setZoom(zoom) {
+    this._zoom = Phaser.Math.Clamp(zoom, this._fitZoom(), ZOOM_MAX);
+    this.cameras.main.setZoom(this._zoom);
+  }
+
+  inOverview() {
+    return this._overview;
+  }
+
+  /**
+   * Overview: stop following and tween out to fit the whole layout. Leaving
+   * tweens back to the probe at the previous zoom, then follows it again.
+   */
+  setOverview(on) {
+    if (on === this._overview) return;
+    this._overview = on;
+    const cam = this.cameras.main;
+    document.getElementById('overview-toggle').setAttribute('aria-pressed', on ? 'true' : 'false');
+    if (on) {
+      const b = layoutBounds();
+      cam.stopFollow();
+      cam.pan(b.x + b.width / 2, b.y + b.height / 2, OVERVIEW_MS, 'Sine.easeInOut', true);
+      cam.zoomTo(this._fitZoom(), OVERVIEW_MS, 'Sine.easeInOut', true);
+    } else {
+      cam.pan(this.player.x, this.player.y, OVERVIEW_MS, 'Sine.easeInOut', true, (c, progress) => {
+        if (progress === 1 && !this._overview) c.startFollow(this.player, true, 0.1, 0.1);
+      });
+      cam.zoomTo(this._zoom, OVERVIEW_MS, 'Sine.easeInOut', true);
+    }
   }
 
   // ── Input ─────────────────────────────────────────────────────────
 
   _setupInput() {
-    this.cursors = this.input.keyboard.createCursorKeys();
-    this.wasd = {
-      up:    this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.W),
-      down:  this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.S),
-      left:  this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.A),
-      right: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.D),
-    };
-    this.input.keyboard.addCapture([
-      Phaser.Input.Keyboard.KeyCodes.UP,   Phaser.Input.Keyboard.KeyCodes.DOWN,
-      Phaser.Input.Keyboard.KeyCodes.LEFT, Phaser.Input.Keyboard.KeyCodes.RIGHT,
-      Phaser.Input.Keyboard.KeyCodes.W,    Phaser.Input.Keyboard.KeyCodes.A,
-      Phaser.Input.Keyboard.KeyCodes.S,    Phaser.Input.Keyboard.KeyCodes.D,
-    ]);
+    bindMoveKeys(this);
+
+    // Gamepad: face button A (index 0) opens the current station in the readout
+    if (this.input.gamepad) {
+      this.input.gamepad.on('down', (pad, button) => {
+        if (button.index === 0) this.openCurrentStation();
+      });
+    }
+
+    // Tap / click on the board: travel there along the traces. A pointer
+    // that moved more than a few px between down and up is a drag, not a tap.
+    // In the overview a station tap zooms back in and flies there instead.
+    this.input.on('pointerup', (pointer) => {
+      if (this._pinch) {
+        if (!this.input.pointer1.isDown && !this.input.pointer2.isDown) this._pinch = null;
+        return;
+      }
+      if (touchStick.active || pointer.getDistance() > 10) return;
+      const hit = this._stations.find(s =>
+        Math.abs(pointer.worldX - s.def.x) <= 57 && Math.abs(pointer.worldY - s.def.y) <= 34);
+      if (this._overview) {
+        if (!hit) return;
+        this.setOverview(false);
+        this.flyToStation(hit.def.id, () => this.openStation(hit.def.id));
+      } else if (hit) this.travelToStation(hit.def.id);
+      else            this.travelTo(pointer.worldX, pointer.worldY);
+    });
+
+    // Wheel zooms the follow camera; in the overview, wheeling in leaves it
+    this.input.on('wheel', (pointer, over, dx, dy) => {
+      if (this._overview) { if (dy < 0) this.setOverview(false); return; }
+      this.setZoom(this._zoom * Math.exp(-dy * WHEEL_ZOOM_STEP));
+    });
+
+    // Pinch (two touches) zooms the same way — pointer2 comes from the game config
+    this.input.on('pointermove', () => {
+      const a = this.input.pointer1, b = this.input.pointer2;
+      if (!a.isDown || !b.isDown) return;
+      const dist = Phaser.Math.Distance.Between(a.x, a.y, b.x, b.y);
+      if (!this._pinch) {
+        this._pinch = { dist, zoom: this._zoom };
+        this.setOverview(false);
+        return;
+      }
+      if (!this._overview) this.setZoom(this._pinch.zoom * dist / this._pinch.dist);
+    });
+
+    // ?edit: drag a module; on release it snaps back and the editor moves it
+    // for real (re-validated, then re-synced at its new intersection)
+    this.input.on('drag', (pointer, obj, dragX, dragY) => {
+      const s = this._stations.find(st => st.body === obj);
+      if (!s) return;
+      obj.setPosition(dragX, dragY);
+      s.text.setPosition(dragX, dragY);
+    });
+    this.input.on('dragend', (pointer, obj) => {
+      const s = this._stations.find(st => st.body === obj);
+      if (!s) return;
+      const { x, y } = obj;
+      obj.setPosition(s.def.x, s.def.y);
+      s.text.setPosition(s.def.x, s.def.y);
+      editorMoveStation(s.def.id, x, y);
+    });
   }
 
   // ── Movement ──────────────────────────────────────────────────────
 
   _handleMovement() {
-    const { cursors, wasd, player } = this;
-    let vx = 0, vy = 0;
-    if (cursors.left.isDown  || wasd.left.isDown)  vx = -PLAYER_SPEED;
-    if (cursors.right.isDown || wasd.right.isDown) vx =  PLAYER_SPEED;
-    if (cursors.up.isDown    || wasd.up.isDown)    vy = -PLAYER_SPEED;
-    if (cursors.down.isDown  || wasd.down.isDown)  vy =  PLAYER_SPEED;
-    if (vx !== 0 && vy !== 0) { vx *= 0.707; vy *= 0.707; }
-    player.setVelocity(vx, vy);
+    const { player } = this;
+    const { x: ix, y: iy } = readMoveInput(this);
+    // Steering takes over from an in-flight tween or tap-to-travel route
+    if (ix !== 0 || iy !== 0) {
+      this._stopTravel();
+      this.setOverview(false);
+      focusedStationId = null;   // steering hands the board back to proximity
+      if (railMode) this._railMove(ix, iy);
+      else player.setVelocity(ix * PLAYER_SPEED, iy * PLAYER_SPEED);
+      return;
+    }
+    if (this._route.length) { this._followRoute(); return; }
+    player.setVelocity(0, 0);
+  }
+
+  // ── Tap-to-travel: follow waypoints along the trace grid ──────────
+
+  _followRoute() {
+    const { player } = this;
+    const step = ROUTE_SPEED * this.game.loop.delta / 1000;
+    let next = this._route[0];
+    let dist = Math.hypot(next.x - player.x, next.y - player.y);
+
+    // Consume every waypoint reachable this frame
+    while (dist <= step) {
+      player.setPosition(next.x, next.y);
+      this._route.shift();
+      if (!this._route.length) { player.setVelocity(0, 0); return; }
+      next = this._route[0];
+      dist = Math.hypot(next.x - player.x, next.y - player.y);
+    }
+    player.setVelocity((next.x - player.x) / dist * ROUTE_SPEED,
+                       (next.y - player.y) / dist * ROUTE_SPEED);
+  }
+
+  /**
+   * Rail mode: the probe runs along the primary traces like a signal. The
+   * stronger input axis wins; a turn the current trace can't take is held
+   * (the probe keeps its heading) until the next pad, where it turns. Off the
+   * traces (just switched on, after a flight) it first snaps onto the nearest.
+   */
+  _railMove(ix, iy) {
+    const { player } = this;
+    player.setVelocity(0, 0);
+    const here = { x: player.x, y: player.y };
+    const snap = nearestRailPoint(this._railSegments, here);
+    if (!snap) return;
+    if (Math.hypot(snap.x - here.x, snap.y - here.y) > RAIL_EPS) {
+      player.setPosition(snap.x, snap.y);
+      return;
+    }
+
+    const dist  = PLAYER_SPEED * Math.min(1, Math.hypot(ix, iy)) * this.game.loop.delta / 1000;
+    const horiz = Math.abs(ix) >= Math.abs(iy);
+    const major = horiz ? [Math.sign(ix), 0] : [0, Math.sign(iy)];
+    const minor = horiz ? [0, Math.sign(iy)] : [Math.sign(ix), 0];
+    for (const [dx, dy] of [major, this._railHeading, minor]) {
+      if (!dx && !dy) continue;
+      const next = railStep(this._railSegments, here, dx, dy, dist);
+      if (!next) continue;
+      this._railHeading = [dx, dy];
+      player.setPosition(next.x, next.y);
+      return;
+    }
+  }
+
+  /** Rail mode was switched on: put the probe on the nearest trace right away. */
+  snapToRail() {
+    if (this._travelTween || this._route.length) return;   // routes already follow the traces
+    const snap = nearestRailPoint(this._railSegments, this.player);
+    if (snap) this.player.setPosition(snap.x, snap.y);
+  }
+
+  _drawRoute() {
+    const g = this._routeGraphics;
+    g.clear();
+    if (!this._route.length) return;
+    g.lineStyle(2, palette.neonG, 0.45);
+    g.beginPath();
+    g.moveTo(this.player.x, this.player.y);
+    for (const p of this._route) g.lineTo(p.x, p.y);
+    g.strokePath();
+    const end = this._route[this._route.length - 1];
+    g.lineStyle(1.5, palette.neonG, 0.8); g.strokeCircle(end.x, end.y, 7);
   }
 
   // ── Proximity: glow + auto-open callout ───────────────────────────
@@ -336,12 +834,16 @@ class GameScene extends Phaser.Scene {
     let nearest = null, minDist = Infinity;
 
     for (const s of this._stations) {
-      const dist = Math.hypot(s.def.x - px, s.def.y - py);
+      if (!isOnTrack(s.def.id)) continue;   // dimmed modules are inert
+      const dist = moduleDistance(s.def, px, py);
       if (dist < INTERACT_R && dist < minDist) { minDist = dist; nearest = s; }
     }
 
     this._nearestSceneStation = nearest;
 
+    // Don't auto-open stations the probe merely passes while travelling
+    if (this._travelTween || this._route.length) return;
+
     if (nearest) {
       if (nearest.def.id !== lastAutoOpenedId) {
         lastAutoOpenedId = nearest.def.id;
@@ -354,9 +856,9 @@ class GameScene extends Phaser.Scene {
 
     // Signal-lost check for open callout
     if (calloutOpen && calloutStationId) {
-      const st = this._stations.find(s => s.def.id === calloutStationId);
+      const st = this._stationById.get(calloutStationId);
       if (st) {
-        const dist = Math.hypot(st.def.x - px, st.def.y - py);
+        const dist = moduleDistance(st.def, px, py);
         const signalEl = document.getElementById('callout-signal');
         if (dist > SIGNAL_LOST_R) {
           if (signalEl && !signalEl.textContent) {
@@ -376,30 +878,53 @@ class GameScene extends Phaser.Scene {
     }
   }
 
+  // ── Dwell: resting beside a long module decaps it ─────────────────
+
+  /**
+   * The probe has stood still beside the module whose callout is open for
+   * INTERIOR_DWELL_MS: enter its interior. Once per visit — the module has
+   * to be left before dwelling re-enters it.
+   */
+  _checkDwell() {
+    const near = this._nearestSceneStation;
+    const d    = this._dwell;
+    if (!near) this._decappedId = null;
+    const still = this.player.x === d.x && this.player.y === d.y;
+    d.x = this.player.x; d.y = this.player.y;
+    if (!near || !still || editMode || calloutStationId !== near.def.id ||
+        near.def.id === this._decappedId || !hasInterior(sectionMap[near.def.id])) {
+      d.ms = 0;
+      return;
+    }
+    d.ms += this.game.loop.delta;
+    if (d.ms >= INTERIOR_DWELL_MS) enterInterior(near.def.id);
+  }
+
   // ── Update callout position each frame (camera-follow) ────────────
 
   _updateCalloutPosition() {
     if (!calloutOpen || !calloutStationId) return;
-    const st = this._stations.find(s => s.def.id === calloutStationId);
+    const st = this._stationById.get(calloutStationId);
     if (!st) return;
     positionCallout(st.def.x, st.def.y);
   }
 
   // ── Update SVG leader line each frame ─────────────────────────────
 
-  _updateLeaderLine() {
+  /** Re-route the line only when the view moved; the pulse dot advances every frame. */
+  _updateLeaderLine(moved) {
     if (!calloutOpen || !calloutStationId) {
       clearLeaderLine();
       return;
     }
-    const st = this._stations.find(s => s.def.id === calloutStationId);
+    const st = this._stationById.get(calloutStationId);
     if (!st) { clearLeaderLine(); return; }
+    if (moved) drawLeaderLine(st.def.x, st.def.y);
 
     // Advance pulse t
     const dt = this.game.loop.delta;
     this._leaderPulseT = (this._leaderPulseT + dt * 0.00045) % 1;
-
-    drawLeaderLine(st.def.x, st.def.y, this._leaderPulseT);
+    moveLeaderPulse(this._leaderPulseT);
   }
 
   // ── Animated: signal pulses along traces ──────────────────────────
@@ -409,55 +934,198 @@ class GameScene extends Phaser.Scene {
     const dt = this.game.loop.delta;
     g.clear();
 
-    for (const p of this._pulses) {
-      p.t = (p.t + p.speed * dt * 0.0001) % 1;
-      const x = p.x1 + (p.x2 - p.x1) * p.t;
-      const y = p.y1 + (p.y2 - p.y1) * p.t;
-      g.fillStyle(NEON, 0.08); g.fillCircle(x, y, 9);
-      g.fillStyle(NEON, 0.22); g.fillCircle(x, y, 5);
-      g.fillStyle(NEON, 0.60); g.fillCircle(x, y, 2.5);
+    // Active skill: light up the routed traces between its stations
+    if (this._skillPaths.length) {
+      g.lineStyle(2.5, palette.skill, 0.38);
+      for (const pts of this._skillPaths) {
+        g.beginPath();
+        g.moveTo(pts[0].x, pts[0].y);
+        for (let i = 1; i < pts.length; i++) g.lineTo(pts[i].x, pts[i].y);
+        g.strokePath();
+      }
+    }
+
+    for (const p of this._pulses.concat(this._skillPulses)) {
+      p.t = (p.t + p.rate * dt) % 1;
+      const { x, y } = pointAlongPath(p, p.t);
+      g.fillStyle(p.color, 0.08); g.fillCircle(x, y, 9);
+      g.fillStyle(p.color, 0.22); g.fillCircle(x, y, 5);
+      g.fillStyle(p.color, 0.60); g.fillCircle(x, y, 2.5);
       g.fillStyle(0xFFFFFF, 0.85); g.fillCircle(x, y, 1);
     }
   }
 
+  // ── Public: signal trace linking every station tagged with a skill ─
+
+  setSkillTrace(skill) {
+    this._skillPaths  = [];
+    this._skillPulses = [];
+    if (!skill) return;
+
+    const tagged = this._stations
+      .filter(s => sectionHasSkill(sectionMap[s.def.id], skill))
+      .map(s => s.def);
+    for (const [a, b] of spanningPairs(tagged)) {
+      const pts = [{ x: a.x, y: a.y }, ...routePath(a, b), { x: b.x, y: b.y }]
+        .filter((p, i, arr) => i === 0 || p.x !== arr[i - 1].x || p.y !== arr[i - 1].y);
+      if (pts.length < 2) continue;
+      this._skillPaths.push(pts);
+      const rate = SKILL_PULSE_SPEED / pathLength(pts);
+      for (let k = 0; k < SKILL_PULSES_EACH; k++) {
+        this._skillPulses.push(makePulse(pts, rate, palette.skill, k / SKILL_PULSES_EACH));
+      }
+    }
+  }
+
   // ── Animated: proximity glow ──────────────────────────────────────
 
   _updateGlow() {
     const g = this._glowGraphics;
     g.clear();
-    if (!this._nearestSceneStation) return;
+    const W = MODULE_W, H = MODULE_H, hw = W / 2, hh = H / 2;
+    const pulse = 0.55 + 0.35 * Math.sin(this.time.now * 0.004);
+
+    // Search hits: amber brackets; the picked result gets a solid frame
+    for (const s of this._stations) {
+      if (!searchHitIds.has(s.def.id)) continue;
+      const { x, y } = s.def;
+      const strong = s.def.id === searchFocusId;
+      g.lineStyle(strong ? 6 : 3, palette.search, (strong ? 0.30 : 0.16) * pulse);
+      g.strokeRect(x - hw - 7, y - hh - 7, W + 14, H + 14);
+      g.lineStyle(strong ? 2 : 1.5, palette.search, strong ? 0.95 : 0.55 + 0.3 * pulse);
+      const B = 10;
+      for (const [cx, cy, sx, sy] of [
+        [x - hw - 7, y - hh - 7, 1, 1], [x + hw + 7, y - hh - 7, -1, 1],
+        [x - hw - 7, y + hh + 7, 1, -1], [x + hw + 7, y + hh + 7, -1, -1],
+      ]) {
+        g.lineBetween(cx, cy, cx + sx * B, cy);
+        g.lineBetween(cx, cy, cx, cy + sy * B);
+      }
+    }
+
+    // Keyboard focus: bright frame with corner ticks, only while the board has focus
+    const focused = focusedStationId && boardHasFocus() &&
+      this._stationById.get(focusedStationId);
+    if (focused) {
+      const { x, y } = focused.def;
+      const F = 13, B = 12;
+      g.lineStyle(1.5, palette.textBright, 0.55 + 0.35 * pulse);
+      g.strokeRect(x - hw - F, y - hh - F, W + F * 2, H + F * 2);
+      g.lineStyle(3, palette.textBright, 0.95);
+      for (const [cx, cy, sx, sy] of [
+        [x - hw - F, y - hh - F, 1, 1], [x + hw + F, y - hh - F, -1, 1],
+        [x - hw - F, y + hh + F, 1, -1], [x + hw + F, y + hh + F, -1, -1],
+      ]) {
+        g.lineBetween(cx, cy, cx + sx * B, cy);
+        g.lineBetween(cx, cy, cx, cy + sy * B);
+      }
+    }
 
+    if (!this._nearestSceneStation) return;
     const { x, y } = this._nearestSceneStation.def;
-    const W = 90, H = 44, hw = W / 2, hh = H / 2;
-    const pulse = 0.55 + 0.35 * Math.sin(this.time.now * 0.004);
 
-    g.lineStyle(14, NEON, 0.035 * pulse);
+    g.lineStyle(14, palette.neon, 0.035 * pulse);
     g.strokeRect(x - hw - 10, y - hh - 10, W + 20, H + 20);
-    g.lineStyle(5, NEON, 0.13 * pulse);
+    g.lineStyle(5, palette.neon, 0.13 * pulse);
     g.strokeRect(x - hw - 4,  y - hh - 4,  W + 8,  H + 8);
-    g.lineStyle(2, NEON, 0.65 + 0.28 * pulse);
+    g.lineStyle(2, palette.neon, 0.65 + 0.28 * pulse);
     g.strokeRect(x - hw - 1,  y - hh - 1,  W + 2,  H + 2);
+
+    // Dwell progress: a bar filling under the chip until it decaps
+    if (this._dwell.ms > 0) {
+      g.fillStyle(palette.neonG, 0.85);
+      g.fillRect(x - hw, y + hh + 5, W * Math.min(1, this._dwell.ms / INTERIOR_DWELL_MS), 2);
+    }
   }
 
-  // ── Public: convert world coords to game-area screen coords ───────
+  // ── Public: rebuild every drawn object in the current theme ───────
 
-  worldToScreen(worldX, worldY) {
-    const cam = this.cameras.main;
-    // Phaser Scale gives us the actual pixel size the canvas is rendered at
-    const scaleX = this.scale.displaySize.width  / this.scale.gameSize.width;
-    const scaleY = this.scale.displaySize.height / this.scale.gameSize.height;
+  redraw() {
+    this._spawnAt = { x: this.player.x, y: this.player.y };
+    this.scene.restart();
+  }
+
+  // ── Public: fly the probe to a station (history navigation) ───────
+
+  flyToStation(sectionId, onArrive) {
+    const st = this._stationById.get(sectionId);
+    if (!st) return;
+    closeCallout();
+    this._stopTravel();
+
+    const target = approachPoint(st.def);
+    const dist   = Math.hypot(target.x - this.player.x, target.y - this.player.y);
+    this.player.setVelocity(0, 0);
+    this._travelTween = this.tweens.add({
+      targets:    this.player,
+      x:          target.x,
+      y:          target.y,
+      duration:   Math.min(1400, Math.max(300, dist * 1.1)),
+      ease:       'Sine.easeInOut',
+      onComplete: () => {
+        this._travelTween = null;
+        if (onArrive) onArrive();
+      },
+    });
+  }
+
+  _stopTravel() {
+    this._route = [];
+    if (!this._travelTween) return;
+    this._travelTween.stop();
+    this._travelTween = null;
+  }
+
+  // ── Public: open a station (or the one the probe is at) in the readout / interior
+
+  openStation(sectionId) {
+    const st = this._stationById.get(sectionId);
+    if (!st) return;
+    if (calloutStationId !== st.def.id) {
+      lastAutoOpenedId = st.def.id;
+      onStationInteract(st.def.id, st.def.x, st.def.y, st.def.label);
+    }
+    openReadout();
+  }
+
+  openCurrentStation() {
+    if (this._nearestSceneStation) this.openStation(this._nearestSceneStation.def.id);
+  }
+
+  decapCurrentStation() {
+    if (this._nearestSceneStation) enterInterior(this._nearestSceneStation.def.id);
+  }
+
+  // ── Public: tap-to-travel along the traces ────────────────────────
+
+  /** Route the probe over the traces (grid or timeline bus) to a world point. */
+  travelTo(x, y) {
+    this._stopTravel();
+    const b    = layoutBounds();
+    const from = { x: this.player.x, y: this.player.y };
+    let to     = { x: Phaser.Math.Clamp(x, b.x + 16, b.x + b.width - 16),
+                   y: Phaser.Math.Clamp(y, b.y + 16, b.y + b.height - 16) };
+    if (railMode) to = nearestRailPoint(this._railSegments, to) || to;   // stay on the traces
+    this._route = [...routePath(from, to), to];
+  }
 
-    // Canvas offset within #game-container (centred by CSS flex)
-    const container = document.getElementById('game-container');
-    const canvas    = container.querySelector('canvas');
-    const canvasRect = canvas ? canvas.getBoundingClientRect() : container.getBoundingClientRect();
-    const containerRect = container.getBoundingClientRect();
+  /** Route the probe to a station; the callout opens on arrival as usual. */
+  travelToStation(sectionId) {
+    const st = this._stationById.get(sectionId);
+    if (!st) return;
+    if (lastAutoOpenedId === sectionId) return;   // already parked there
+    const target = approachPoint(st.def);
+    this.travelTo(target.x, target.y);
+  }
 
-    const canvasOffsetX = canvasRect.left - containerRect.left;
-    const canvasOffsetY = canvasRect.top  - containerRect.top;
+  // ── Public: convert world coords to game-area screen coords ───────
 
-    const screenX = canvasOffsetX + (worldX - cam.worldView.x) * scaleX;
-    const screenY = canvasOffsetY + (worldY - cam.worldView.y) * scaleY;
+  worldToScreen(worldX, worldY) {
+    const cam = this.cameras.main;
+    // Canvas offset (centred by CSS flex) and display scale, cached — see readGeometry()
+    const geo = readGeometry();
+    const screenX = geo.offsetX + (worldX - cam.worldView.x) * cam.zoom * geo.scaleX;
+    const screenY = geo.offsetY + (worldY - cam.worldView.y) * cam.zoom * geo.scaleY;
     return { x: screenX, y: screenY };
   }
 
@@ -467,140 +1135,2109 @@ class GameScene extends Phaser.Scene {
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-//  Callout placement logic
+//  Phaser Scene: module interior ("decapped" chip)
 // ─────────────────────────────────────────────────────────────────────────────
 
+// Die layout: component cells, the walkable channels between them, the band
+// between the die edge and the cells, and the header band for the title.
+const DIE_CELL_W     = 240;
+const DIE_CELL_MIN_H = 96;
+const DIE_GAP        = 72;
+const DIE_MARGIN     = 96;
+const DIE_HEADER     = 40;
+
 /**
- * Place the callout near the station screen position, away from the player.
- * Candidates: top-right, top-left, bottom-right, bottom-left.
- * Picks the candidate that maximises distance from the player and stays in-viewport.
+ * One section opened up: every bullet (or `details` item) is a die component
+ * the probe walks between. GameScene sleeps meanwhile, so its probe, camera
+ * and callout are exactly as they were when this scene stops again.
  */
-function positionCallout(stationWorldX, stationWorldY) {
-  if (!activeScene) return;
-  const calloutEl = document.getElementById('callout');
-  if (!calloutEl || calloutEl.classList.contains('hidden')) return;
-
-  const { x: sx, y: sy } = activeScene.worldToScreen(stationWorldX, stationWorldY);
-  const { x: px, y: py } = activeScene.playerScreen();
+class InteriorScene extends Phaser.Scene {
 
-  const cw = calloutEl.offsetWidth  || 220;
-  const ch = calloutEl.offsetHeight || 160;
-
-  // Game area dimensions (callout is positioned relative to #game-area)
-  const gameArea = document.getElementById('game-area');
-  const gaW = gameArea.offsetWidth;
-  const gaH = gameArea.offsetHeight;
+  constructor() {
+    super('InteriorScene');
+    this._components  = [];   // { x, y, w, h, index }
+    this._nearest     = null; // component within INTERACT_R
+    this._glow        = null;
+    this._travelTween = null;
+    this.player       = null;
+  }
 
-  const OFF = CALLOUT_OFFSET;
-  const PAD = CALLOUT_VIEWPORT_PAD;
+  create(data) {
+    const section = sectionMap[data.sectionId];
+    const def     = stationDefs.find(d => d.id === data.sectionId);
+    const accent  = parseStationColor(def && def.color);
+    const items   = interiorItems(section);
+    this._nearest = null;
+    this._travelTween = null;
+
+    // Component texts first: the tallest one sets the row height
+    const texts = items.map((item, i) => this.add.text(0, 0,
+      [`U${i + 1}`, item.title ? item.title.toUpperCase() : null, item.text].filter(Boolean).join('\n'), {
+        fontSize:    '10px',
+        fontFamily:  '"Courier New", monospace',
+        color:       currentTheme.labelText,
+        lineSpacing: 3,
+        wordWrap:    { width: DIE_CELL_W - 24, useAdvancedWrap: true },
+      }).setDepth(4));
+    const cellH = Math.max(DIE_CELL_MIN_H, ...texts.map(t => t.height + 24));
+    const cols  = items.length <= 3 ? items.length : items.length === 4 ? 2 : 3;
+    const rows  = Math.ceil(items.length / cols);
+    const W = DIE_MARGIN * 2 + cols * DIE_CELL_W + (cols - 1) * DIE_GAP;
+    const H = DIE_MARGIN * 2 + DIE_HEADER + rows * cellH + (rows - 1) * DIE_GAP;
+    const inset = DIE_MARGIN / 2;
+
+    this._drawDie(W, H, accent);
+    this.add.text(inset + 16, inset + 14, `${def ? def.label + ' · ' : ''}${section.title}`, {
+      fontSize:        '11px',
+      fontFamily:      '"Courier New", monospace',
+      color:           currentTheme.labelText,
+      stroke:          currentTheme.labelStroke,
+      strokeThickness: 2,
+      wordWrap:        { width: W - DIE_MARGIN - 32, useAdvancedWrap: true },
+    }).setDepth(4);
+
+    const solids = this.physics.add.staticGroup();
+    const g = this.add.graphics().setDepth(2);
+    this._components = texts.map((text, i) => {
+      const x = DIE_MARGIN + (i % cols) * (DIE_CELL_W + DIE_GAP) + DIE_CELL_W / 2;
+      const y = DIE_MARGIN + DIE_HEADER + Math.floor(i / cols) * (cellH + DIE_GAP) + cellH / 2;
+      this._drawComponent(g, x, y, DIE_CELL_W, cellH, accent);
+      text.setPosition(x - DIE_CELL_W / 2 + 12, y - cellH / 2 + 12);
+      const solid = this.add.zone(x, y, DIE_CELL_W, cellH);
+      this.physics.add.existing(solid, true);
+      solids.add(solid);
+      return { x, y, w: DIE_CELL_W, h: cellH, index: i };
+    });
 
-  // Four candidate origins (top-left corner of callout)
-  const candidates = [
-    { name: 'top-right',    left: sx + OFF,      top: sy - ch - OFF  },
-    { name: 'top-left',     left: sx - cw - OFF, top: sy - ch - OFF  },
-    { name: 'bottom-right', left: sx + OFF,      top: sy + OFF       },
-    { name: 'bottom-left',  left: sx - cw - OFF, top: sy + OFF       },
-  ];
+    // Probe comes in through the bottom edge of the die
+    this.physics.world.setBounds(inset, inset, W - inset * 2, H - inset * 2);
+    this.player = this.physics.add.sprite(W / 2, H - DIE_MARGIN * 0.75, 'probe').setDepth(8);
+    this.player.setCollideWorldBounds(true);
+    this.physics.add.collider(this.player, solids, null, () => !this._travelTween);
 
-  // Filter to candidates that fit within the game area with padding
-  const fits = candidates.filter(c =>
-    c.left >= PAD && c.top >= PAD &&
-    c.left + cw <= gaW - PAD &&
-    c.top  + ch <= gaH - PAD
-  );
+    this.cameras.main.setBounds(0, 0, W, H);
+    this.cameras.main.setBackgroundColor(palette.bg);
+    this.cameras.main.startFollow(this.player, true, 0.1, 0.1);
 
-  // From fitting candidates, prefer the one farthest from the player
-  const pool = fits.length > 0 ? fits : candidates;
-  let best = pool[0], bestDist = -1;
-  for (const c of pool) {
-    const centrX = c.left + cw / 2;
-    const centrY = c.top  + ch / 2;
-    const d = Math.hypot(centrX - px, centrY - py);
-    if (d > bestDist) { bestDist = d; best = c; }
+    this._glow = this.add.graphics().setDepth(5);
+    this._setupInput();
+    syncGameKeyboard();
+    invalidateGeometry();
   }
 
-  // Clamp to game area
-  const clampedLeft = Math.max(PAD, Math.min(best.left, gaW - cw - PAD));
-  const clampedTop  = Math.max(PAD, Math.min(best.top,  gaH - ch - PAD));
+  update() {
+    const { x: ix, y: iy } = readMoveInput(this);
+    if (ix !== 0 || iy !== 0) {
+      this._stopTravel();
+      this.player.setVelocity(ix * PLAYER_SPEED, iy * PLAYER_SPEED);
+    } else {
+      this.player.setVelocity(0, 0);
+    }
+    this._checkProximity();
+    this._updateGlow();
+    if (performance.now() - lastActivity >= IDLE_SLEEP_MS && !ix && !iy && !this._travelTween &&
+        !touchStick.active && !(this.input.gamepad && this.input.gamepad.total)) sleepLoop();
+  }
 
-  calloutEl.style.left = clampedLeft + 'px';
-  calloutEl.style.top  = clampedTop  + 'px';
-}
+  _setupInput() {
+    bindMoveKeys(this);
 
-// ─────────────────────────────────────────────────────────────────────────────
-//  SVG Leader Line
-// ─────────────────────────────────────────────────────────────────────────────
+    // Gamepad B (index 1) climbs back out to the board
+    if (this.input.gamepad) {
+      this.input.gamepad.on('down', (pad, button) => {
+        if (button.index === 1) exitInterior();
+      });
+    }
 
-function drawLeaderLine(stationWorldX, stationWorldY, pulseT) {
-  if (!activeScene) return;
-  const svg = document.getElementById('leader-svg');
-  if (!svg) return;
+    // Tap a component: the probe moves next to it
+    this.input.on('pointerup', (pointer) => {
+      if (pointer.getDistance() > 10) return;
+      const hit = this._components.find(c =>
+        moduleDistance(c, pointer.worldX, pointer.worldY, c.w, c.h) === 0);
+      if (hit) this.flyToComponent(hit.index);
+    });
 
-  const calloutEl = document.getElementById('callout');
-  if (!calloutEl || calloutEl.classList.contains('hidden')) {
-    clearLeaderLine(); return;
+    // Pinned to the view: the way out for pointer / touch users
+    this.add.text(12, 10, '◀ BOARD · ESC', {
+      fontSize:        '11px',
+      fontFamily:      '"Courier New", monospace',
+      color:           currentTheme.labelText,
+      backgroundColor: currentTheme.panel,
+      padding:         { x: 6, y: 4 },
+    }).setScrollFactor(0).setDepth(10)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerup', () => exitInterior());
   }
 
-  const { x: sx, y: sy } = activeScene.worldToScreen(stationWorldX, stationWorldY);
-
-  // Callout edge — find the closest point on the callout border to the station
-  const cRect = calloutEl.getBoundingClientRect();
-  const gameArea = document.getElementById('game-area');
-  const gaRect   = gameArea.getBoundingClientRect();
+  /** Die: the module body blown up, bond pads round the edge, wires out to the package. */
+  _drawDie(W, H, accent) {
+    const g = this.add.graphics().setDepth(0);
+    const inset = DIE_MARGIN / 2;
+    const x0 = inset, y0 = inset, x1 = W - inset, y1 = H - inset;
+
+    g.fillStyle(palette.mid, 1);
+    g.fillRect(x0, y0, x1 - x0, y1 - y0);
+    g.lineStyle(1, palette.neon, 0.035);
+    for (let y = y0 + 9; y < y1; y += 9) g.lineBetween(x0 + 3, y, x1 - 3, y);
+    g.lineStyle(2, accent, 0.5);
+    g.strokeRect(x0, y0, x1 - x0, y1 - y0);
+
+    g.lineStyle(1, palette.neon, 0.3);
+    g.fillStyle(palette.neon, 0.4);
+    for (let x = x0 + 24; x < x1 - 12; x += 32) {
+      g.fillRect(x - 3, y0 + 6, 6, 6);  g.lineBetween(x, y0 + 6, x, y0 - 18);
+      g.fillRect(x - 3, y1 - 12, 6, 6); g.lineBetween(x, y1 - 6, x, y1 + 18);
+    }
+    for (let y = y0 + 24; y < y1 - 12; y += 32) {
+      g.fillRect(x0 + 6, y - 3, 6, 6);  g.lineBetween(x0 + 6, y, x0 - 18, y);
+      g.fillRect(x1 - 12, y - 3, 6, 6); g.lineBetween(x1 - 6, y, x1 + 18, y);
+    }
+  }
 
-  // Convert callout rect to game-area-local coords (same coord system as worldToScreen)
-  const cLeft   = cRect.left   - gaRect.left;
-  const cTop    = cRect.top    - gaRect.top;
-  const cRight  = cRect.right  - gaRect.left;
-  const cBottom = cRect.bottom - gaRect.top;
-  const cCX = (cLeft + cRight)  / 2;
-  const cCY = (cTop  + cBottom) / 2;
+  _drawComponent(g, x, y, w, h, accent) {
+    g.fillStyle(palette.bg, 0.55);
+    g.fillRect(x - w / 2, y - h / 2, w, h);
+    g.lineStyle(1.5, accent, 0.42);
+    g.strokeRect(x - w / 2, y - h / 2, w, h);
+    g.fillStyle(accent, 0.70);
+    g.fillCircle(x + w / 2 - 7, y - h / 2 + 7, 2.5);
+  }
 
-  // Clamp station→callout-centre vector to callout border
-  const dx = sx - cCX, dy = sy - cCY;
-  let ex, ey; // exit point on callout border
-  if (Math.abs(dx) === 0 && Math.abs(dy) === 0) { ex = cCX; ey = cTop; }
-  else {
-    const hw = (cRight - cLeft) / 2, hh = (cBottom - cTop) / 2;
-    const absDx = Math.abs(dx), absDy = Math.abs(dy);
-    if (absDx * hh > absDy * hw) {
-      // Exits through left or right
-      const t = hw / absDx;
-      ex = cCX + Math.sign(dx) * hw;
-      ey = cCY + dy * t;
-    } else {
-      // Exits through top or bottom
-      const t = hh / absDy;
-      ex = cCX + dx * t;
-      ey = cCY + Math.sign(dy) * hh;
+  _checkProximity() {
+    const { x, y } = this.player;
+    let nearest = null, minDist = INTERACT_R;
+    for (const c of this._components) {
+      const dist = moduleDistance(c, x, y, c.w, c.h);
+      if (dist < minDist) { minDist = dist; nearest = c; }
     }
+    if (nearest === this._nearest) return;
+    this._nearest = nearest;
+    highlightDieItem(nearest ? nearest.index : -1);
   }
 
-  // Orthogonal elbow: go horizontal then vertical (or vice-versa if shorter)
-  const midX = ex + (sx - ex) * 0.5;
-
-  // Build polyline points: callout-edge → mid-elbow → station
-  const pts = `${ex},${ey} ${midX},${ey} ${midX},${sy} ${sx},${sy}`;
+  _updateGlow() {
+    const g = this._glow;
+    g.clear();
+    const c = this._nearest;
+    if (!c) return;
+    const pulse = 0.55 + 0.35 * Math.sin(this.time.now * 0.004);
+    const hw = c.w / 2, hh = c.h / 2;
+    g.lineStyle(5, palette.neon, 0.13 * pulse);
+    g.strokeRect(c.x - hw - 4, c.y - hh - 4, c.w + 8, c.h + 8);
+    g.lineStyle(2, palette.neon, 0.65 + 0.28 * pulse);
+    g.strokeRect(c.x - hw - 1, c.y - hh - 1, c.w + 2, c.h + 2);
+  }
 
-  // Upsert <polyline>
-  let line = svg.querySelector('.leader-line');
-  if (!line) {
-    line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
-    line.setAttribute('class', 'leader-line');
-    svg.appendChild(line);
+  /** Park the probe just below component `index` (Tab / tap). */
+  flyToComponent(index) {
+    const c = this._components[index];
+    if (!c) return;
+    this._stopTravel();
+    const target = { x: c.x, y: c.y + c.h / 2 + DIE_GAP / 3 };
+    const dist   = Math.hypot(target.x - this.player.x, target.y - this.player.y);
+    this._travelTween = this.tweens.add({
+      targets:    this.player,
+      x:          target.x,
+      y:          target.y,
+      duration:   Math.min(1000, Math.max(250, dist * 1.1)),
+      ease:       'Sine.easeInOut',
+      onComplete: () => { this._travelTween = null; },
+    });
   }
-  line.setAttribute('points', pts);
 
-  // Pulse dot travelling along the line
-  // Simplified: interpolate along the elbow path segments
-  const totalDist = (
-    Math.hypot(midX - ex, 0) +
-    Math.hypot(0, sy - ey) +
-    Math.hypot(sx - midX, 0)
-  );
-  const traveled = pulseT * totalDist;
-  const seg1 = Math.abs(midX - ex);
-  const seg2 = Math.abs(sy   - ey);
+  _stopTravel() {
+    if (!this._travelTween) return;
+    this._travelTween.stop();
+    this._travelTween = null;
+  }
+
+  /** Tab / Shift-Tab through the components; false once it runs off either end. */
+  cycleFocus(step) {
+    const n    = this._components.length;
+    const i    = this._nearest ? this._nearest.index : -1;
+    const next = i < 0 ? (step > 0 ? 0 : n - 1) : i + step;
+    if (next < 0 || next >= n) return false;
+    this.flyToComponent(next);
+    return true;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Station layout (resume.json → station defs)
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Palette keywords accepted in a station's `color` field (resolved against
+// the active theme each time a module is drawn).
+const STATION_COLOR_KEYWORDS = { 'neon': 'neon', 'neon-g': 'neonG' };
+
+/** Accepts a palette keyword, "#RRGGBB", "0xRRGGBB" or a number; falls back to palette.neon. */
+function parseStationColor(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return palette.neon;
+  const key = value.trim().toLowerCase();
+  if (key in STATION_COLOR_KEYWORDS) return palette[STATION_COLOR_KEYWORDS[key]];
+  const hex = key.replace(/^(#|0x)/, '');
+  return /^[0-9a-f]{6}$/.test(hex) ? parseInt(hex, 16) : palette.neon;
+}
+
+/**
+ * Grid cell under a world point, counted from the outer traces. x/y station
+ * specs and the legacy STATIONS entries are placed by the cell they land in.
+ */
+function cellAt(x, y) {
+  return { col: Math.max(0, Math.round((x - BOARD_MARGIN) / BOARD_COL_PITCH)),
+           row: Math.max(0, Math.round((y - BOARD_MARGIN) / BOARD_ROW_PITCH)) };
+}
+
+/** Highest col/row count an explicit station may stretch the grid to. */
+function gridLimit(sectionCount) {
+  return sectionCount + BOARD_MAX_COLS;
+}
+
+/**
+ * Distance from a point to a module's chip body (0 on or inside it) — what
+ * INTERACT_R measures. `w` / `h` size other boxes (interior die components).
+ */
+function moduleDistance(def, x, y, w = MODULE_W, h = MODULE_H) {
+  return Math.hypot(Math.max(Math.abs(x - def.x) - w / 2, 0),
+                    Math.max(Math.abs(y - def.y) - h / 2, 0));
+}
+
+/** Row a station is auto-placed in: `station.group`, else the id minus its last "-part". */
+function stationGroup(section, spec) {
+  if (typeof spec.group === 'string' && spec.group.trim()) return spec.group.trim();
+  return section.id.replace(/-[^-]+$/, '');
+}
+
+/**
+ * A section's station spec: its own `station` block, else its `layout`
+ * entry. `false` (in either place) keeps the section off the map.
+ */
+function stationSpec(section, layout) {
+  if (section.station === false) return false;
+  return section.station || layout[section.id];
+}
+
+/**
+ * Build the board and one station def per section that has a layout.
+ * Precedence: section.station → data.layout[id] → STATIONS fallback entry.
+ * Sections with none of these, or with `station: false`, stay index-only
+ * (no station on the map).
+ *
+ * Stations with col/row (or x/y, by the cell they land in) keep that cell;
+ * `snap: false` keeps the exact x/y but still reserves the cell. Fallback
+ * entries take their cell only if it is free. The rest are placed
+ * automatically, one row per group in order of first appearance, spread
+ * across the free columns. The grid grows to fit, up to gridLimit() cells
+ * a side. Returns { defs, board } — the caller decides whether to apply it.
+ */
+function buildStationDefs(data) {
+  const layout = data.layout || {};
+  const config = data.board || {};
+  const limit  = gridLimit(data.sections.length);
+  const placed = [];     // { section, spec, group, legacy, col?, row? }
+
+  for (const section of data.sections) {
+    const own  = stationSpec(section, layout);
+    if (own === false) continue;   // opted out, fallback included
+    const spec = own || STATIONS.find(st => st.id === section.id);
+    if (!spec || typeof spec !== 'object') continue;
+    placed.push({ section, spec, group: stationGroup(section, spec), legacy: !own });
+  }
+
+  // Fixed cells first (resume.json before the fallbacks), then auto placement
+  // on the cells that are left
+  const isGridSpec = spec => Number.isInteger(spec.col) && Number.isInteger(spec.row);
+  const isXYSpec   = spec => Number.isFinite(spec.x) && Number.isFinite(spec.y);
+  const clampCell  = v => Math.max(0, Math.min(v, limit - 1));
+  const taken = new Set();
+  for (const p of [...placed.filter(p => !p.legacy), ...placed.filter(p => p.legacy)]) {
+    const cell = isGridSpec(p.spec) ? p.spec : isXYSpec(p.spec) ? cellAt(p.spec.x, p.spec.y) : null;
+    if (!cell) continue;
+    const col = clampCell(cell.col), row = clampCell(cell.row);
+    if (p.legacy && taken.has(`${col},${row}`)) continue;   // auto-placed instead
+    p.col = col;
+    p.row = row;
+    taken.add(`${col},${row}`);
+  }
+
+  const groups   = [...new Set(placed.map(p => p.group))];
+  const fixed    = placed.filter(p => p.col !== undefined);
+  const isAuto   = p => p.col === undefined;
+  const largest  = Math.max(0, ...groups.map(g => placed.filter(p => p.group === g && isAuto(p)).length));
+  const colCount = Math.min(limit, Math.max(
+    Math.min(Math.max(largest + 1, BOARD_MIN_COLS), BOARD_MAX_COLS),
+    ...fixed.map(p => p.col + 1)));
+
+  const seed  = Number.isInteger(config.seed) ? config.seed : hashString(placed.map(p => p.section.id).join('|'));
+  const rand  = seededRandom(seed);
+  let row = 0;
+  for (const group of groups) {
+    let pending = placed.filter(p => p.group === group && isAuto(p));
+    while (pending.length) {
+      const free = [];
+      for (let c = 0; c < colCount; c++) if (!taken.has(`${c},${row}`)) free.push(c);
+      const batch = pending.slice(0, free.length);
+      // Spread evenly over the free columns, then nudge the whole row a
+      // column left/right (seeded) so short rows don't all line up
+      const idx   = batch.map((_, i) => Math.round((i + 0.5) * free.length / batch.length - 0.5));
+      const left  = Math.min(1, idx[0] || 0);
+      const right = Math.min(1, free.length - 1 - (idx[idx.length - 1] || 0));
+      const shift = Math.floor(rand() * (left + right + 1)) - left;
+      batch.forEach((p, i) => {
+        p.col = free[idx[i] + shift];
+        p.row = row;
+        taken.add(`${p.col},${row}`);
+      });
+      pending = pending.slice(batch.length);
+      row++;
+    }
+  }
+  // Fixed rows are clamped to the limit, auto rows to one per station at most
+  const rowCount = Math.max(row, ...fixed.map(p => p.row + 1), 1);
+
+  const next = generateBoard(colCount, rowCount, seed);
+  const defs = placed.map(p => {
+    const exact = p.spec.snap === false && isXYSpec(p.spec);
+    return {
+      id:    p.section.id,
+      x:     exact ? p.spec.x : next.cols[p.col],
+      y:     exact ? p.spec.y : next.rows[p.row],
+      color: p.spec.color || GROUP_COLORS[groups.indexOf(p.group) % GROUP_COLORS.length],
+      label: p.spec.label || p.section.id.toUpperCase(),
+    };
+  });
+  return { defs, board: next };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Board generation (seeded)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** FNV-1a — a stable 32-bit seed from the section ids. */
+function hashString(str) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** mulberry32: small deterministic PRNG returning floats in [0, 1). */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Board geometry for a colCount × rowCount primary trace grid: world size,
+ * trace positions (jittered by the seed so it looks hand-routed), dim
+ * secondary traces in most gaps, and pulse paths along every primary trace
+ * (alternating direction, seeded speeds).
+ */
+function generateBoard(colCount, rowCount, seed) {
+  const rand   = seededRandom(seed);
+  const wobble = () => Math.round((rand() * 2 - 1) * BOARD_JITTER);
+  const gridW  = (colCount - 1) * BOARD_COL_PITCH;
+  const gridH  = (rowCount - 1) * BOARD_ROW_PITCH;
+  const width  = Math.max(BOARD_MIN_W, gridW + 2 * BOARD_MARGIN);
+  const height = Math.max(BOARD_MIN_H, gridH + 2 * BOARD_MARGIN);
+
+  // Grid centred on the board (small résumés get the minimum board size)
+  const cols = Array.from({ length: colCount }, (_, i) =>
+    Math.round((width - gridW) / 2 + i * BOARD_COL_PITCH + wobble()));
+  const rows = Array.from({ length: rowCount }, (_, i) =>
+    Math.round((height - gridH) / 2 + i * BOARD_ROW_PITCH + wobble()));
+
+  const between = lines => lines.slice(1).flatMap((v, i) =>
+    rand() < 0.75 ? [Math.round((lines[i] + v) / 2 + wobble() * 3)] : []);
+
+  const pulses = [
+    ...rows.map((y, i) => (i % 2 ? { x1: width - 20, y1: y, x2: 20, y2: y }
+                                 : { x1: 20, y1: y, x2: width - 20, y2: y })),
+    ...cols.map((x, i) => (i % 2 ? { x1: x, y1: 20, x2: x, y2: height - 20 }
+                                 : { x1: x, y1: height - 20, x2: x, y2: 20 })),
+  ].map(p => ({ ...p, speed: 0.20 + Math.round(rand() * 20) / 100 }));
+
+  return {
+    width, height, cols, rows,
+    secondaryRows: between(rows),
+    secondaryCols: between(cols),
+    pulses,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Dates + timeline layout
+// ─────────────────────────────────────────────────────────────────────────────
+
+const LAYOUT_KEY = 'resume.layout';   // 'board' | 'timeline' — last chosen layout
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// One date inside a title's last "|" segment: "2019", "2019-03", "Mar 2019", "Present"
+const DATE_TOKEN_RE = /(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+)?\d{4}(?:-\d{1,2}(?!\d))?|\b(?:present|current|now)\b/gi;
+
+function currentYear() {
+  const now = new Date();
+  return now.getFullYear() + now.getMonth() / 12;
+}
+
+/**
+ * Parse "2019", "2019-03", "Mar 2019" / "March 2019" or "present" into a
+ * fractional year. As an end date, a bare year or month means the end of it
+ * ("2019 – 2022" covers 2022). Returns null when unparseable.
+ */
+function parseDateValue(value, isEnd) {
+  if (typeof value !== 'string') return null;
+  const s = value.trim().toLowerCase();
+  if (/^(present|current|now)$/.test(s)) return currentYear();
+  let m = s.match(/^(\d{4})(?:-(\d{1,2}))?$/);
+  if (m && m[2] && (+m[2] < 1 || +m[2] > 12)) return null;
+  if (!m) {
+    const named = s.match(/^([a-z]{3})[a-z]*\.?\s+(\d{4})$/);
+    if (!named || !MONTHS.includes(named[1])) return null;
+    m = [s, named[2], String(MONTHS.indexOf(named[1]) + 1)];
+  }
+  const year = +m[1];
+  if (!m[2]) return year + (isEnd ? 1 : 0);
+  return year + (+m[2] - 1 + (isEnd ? 1 : 0)) / 12;
+}
+
+/**
+ * A section's date range as { start, end, ongoing } (fractional years), or
+ * null. Explicit `start`/`end` fields win (no `end` = ongoing); otherwise the
+ * `dates` field, else the last "|" segment of the title, is parsed
+ * ("Company / Role | City | 2019 – 2022"). A title without "|" is undated.
+ */
+function sectionDates(section) {
+  let startRaw = section.start, endRaw = section.end;
+  if (startRaw === undefined) {
+    const title  = String(section.title);
+    const tail   = section.dates !== undefined ? section.dates
+                 : title.includes('|') ? title.split('|').pop() : '';
+    const tokens = tail.match(DATE_TOKEN_RE) || [];
+    if (!tokens.length) return null;
+    startRaw = tokens[0];
+    endRaw   = tokens.length > 1 ? tokens[1] : tokens[0];   // "2018" = that year
+  }
+  const start = parseDateValue(startRaw, false);
+  const end   = endRaw === undefined ? currentYear() : parseDateValue(endRaw, true);
+  if (start === null || end === null || end < start) return null;
+  const ongoing = endRaw === undefined || /^(present|current|now)$/i.test(String(endRaw).trim());
+  return { start, end, ongoing };
+}
+
+function formatDateRange(dates) {
+  const first = Math.floor(dates.start);
+  const last  = dates.ongoing ? 'now' : String(Math.ceil(dates.end) - 1);
+  return String(first) === last ? last : `${first}–${last}`;
+}
+
+/** Earliest start / latest end over every dated station, or null. */
+function timelineSpan() {
+  if (!timelineDefs.length) return null;
+  return {
+    start: Math.min(...timelineDefs.map(d => d.dates.start)),
+    end:   Math.max(...timelineDefs.map(d => d.dates.end)),
+  };
+}
+
+function timelineX(year, span) {
+  const t = span.end > span.start ? (year - span.start) / (span.end - span.start) : 0.5;
+  return TIMELINE_MARGIN + t * (board.width - 2 * TIMELINE_MARGIN);
+}
+
+/**
+ * Timeline layout: every station whose section has dates, ordered by start,
+ * placed at its start date on the bus and alternating above/below it.
+ * Neighbours on the same side are pushed apart so interaction radii don't
+ * overlap; if that runs off the board they are spaced evenly instead.
+ */
+function buildTimelineDefs() {
+  const dated = stationDefs
+    .map(def => ({ ...def, dates: sectionDates(sectionMap[def.id]) }))
+    .filter(def => def.dates)
+    .sort((a, b) => a.dates.start - b.dates.start || a.dates.end - b.dates.end);
+  timelineDefs = dated;
+  const span = timelineSpan();
+  if (!span) return;
+
+  const minX = TIMELINE_MARGIN, maxX = board.width - TIMELINE_MARGIN;
+  let xs = dated.map(def => timelineX(def.dates.start, span));
+  for (let i = 1; i < xs.length; i++) {
+    xs[i] = Math.max(xs[i], xs[i - 1] + 24, i > 1 ? xs[i - 2] + MODULE_W + INTERACT_R * 2 + 4 : -Infinity);
+  }
+  if (xs[xs.length - 1] > maxX) {
+    xs = dated.map((_, i) => (dated.length > 1 ? minX + i * (maxX - minX) / (dated.length - 1) : board.width / 2));
+  }
+
+  dated.forEach((def, i) => {
+    def.busX = timelineX(def.dates.start, span);
+    def.x    = Math.round(xs[i]);
+    def.y    = TIMELINE_BUS_Y + (i % 2 ? TIMELINE_OFFSET : -TIMELINE_OFFSET);
+  });
+}
+
+/** Station defs for the current layout mode. */
+function activeStationDefs() {
+  return layoutMode === 'timeline' ? timelineDefs : stationDefs;
+}
+
+/** World rect the probe and camera are confined to in the current layout. */
+function layoutBounds() {
+  if (layoutMode === 'timeline') {
+    return { x: 0, y: TIMELINE_BUS_Y - TIMELINE_BAND, width: board.width, height: TIMELINE_BAND * 2 };
+  }
+  return { x: 0, y: 0, width: board.width, height: board.height };
+}
+
+/**
+ * Primary traces of the current layout as polylines (board: the full grid;
+ * timeline: the bus, flagged `bus`, plus one stub per station from its start
+ * date to its pins).
+ */
+function layoutTraces() {
+  if (layoutMode !== 'timeline') {
+    return [
+      ...board.rows.map(y => [{ x: 20, y }, { x: board.width - 20, y }]),
+      ...board.cols.map(x => [{ x, y: 20 }, { x, y: board.height - 20 }]),
+    ];
+  }
+  const bus = [{ x: 20, y: TIMELINE_BUS_Y }, { x: board.width - 20, y: TIMELINE_BUS_Y }];
+  bus.bus = true;
+  return [bus, ...timelineDefs.map(def => {
+    const dir  = def.y < TIMELINE_BUS_Y ? -1 : 1;
+    const bend = TIMELINE_BUS_Y + dir * (TIMELINE_OFFSET - 60);
+    return [
+      { x: def.busX, y: TIMELINE_BUS_Y }, { x: def.busX, y: bend },
+      { x: def.x, y: bend }, { x: def.x, y: def.y - dir * 22 },
+    ];
+  })];
+}
+
+/** Pad positions: grid intersections, or where each stub leaves the bus. */
+function layoutPads() {
+  if (layoutMode === 'timeline') return timelineDefs.map(def => ({ x: def.busX, y: TIMELINE_BUS_Y }));
+  return board.rows.flatMap(y => board.cols.map(x => ({ x, y })));
+}
+
+/** Waypoints between two points along the current layout's traces. */
+function routePath(from, to) {
+  if (layoutMode === 'timeline') {
+    return [{ x: from.x, y: TIMELINE_BUS_Y }, { x: to.x, y: TIMELINE_BUS_Y }];
+  }
+  return findTracePath(from, to);
+}
+
+/**
+ * Switch between the trace-grid board and the timeline. The scene is
+ * restarted so _drawWorld/_createStations/_setupCamera rebuild for the
+ * new layout; the sidebar Gantt strip is only shown in timeline mode.
+ */
+function setLayoutMode(mode, persist) {
+  layoutMode = mode === 'timeline' && timelineDefs.length ? 'timeline' : 'board';
+  if (persist) storageSet(LAYOUT_KEY, layoutMode);
+
+  const on = layoutMode === 'timeline';
+  const toggle = document.getElementById('layout-toggle');
+  toggle.setAttribute('aria-pressed', on ? 'true' : 'false');
+  toggle.textContent = on ? 'Board view' : 'Timeline';
+  document.getElementById('sidebar-timeline').classList.toggle('hidden', !on);
+
+  exitInterior();
+  closeCallout();
+  buildMinimap();
+  if (activeScene) activeScene.scene.restart();
+}
+
+/** Gantt-style strip: one row per dated station, bars on a shared year axis. */
+function buildTimelineStrip() {
+  const wrap = document.getElementById('sidebar-timeline');
+  wrap.innerHTML = '';
+  document.getElementById('layout-toggle').classList.toggle('hidden', !timelineDefs.length);
+  const span = timelineSpan();
+  if (!span) return;
+
+  const axis = document.createElement('div');
+  axis.className = 'tl-axis';
+  const last = timelineDefs.some(d => d.dates.ongoing) ? 'now' : Math.ceil(span.end) - 1;
+  for (const label of [Math.floor(span.start), last]) {
+    const el = document.createElement('span');
+    el.textContent = label;
+    axis.appendChild(el);
+  }
+  wrap.appendChild(axis);
+
+  const width = span.end - span.start || 1;
+  for (const def of timelineDefs) {
+    const row = document.createElement('button');
+    row.className = 'tl-row';
+    row.dataset.sectionId = def.id;
+    row.title = `${sectionMap[def.id].title} (${formatDateRange(def.dates)})`;
+    row.classList.toggle('active', def.id === readoutSectionId);
+
+    const label = document.createElement('span');
+    label.className = 'tl-label';
+    label.textContent = def.label;
+    const track = document.createElement('span');
+    track.className = 'tl-track';
+    const bar = document.createElement('span');
+    bar.className = 'tl-bar' + (def.dates.ongoing ? ' ongoing' : '');
+    bar.style.left  = `${(def.dates.start - span.start) / width * 100}%`;
+    bar.style.width = `${Math.max(2, (def.dates.end - def.dates.start) / width * 100)}%`;
+    bar.style.background = colorToCss(parseStationColor(def.color));
+    track.appendChild(bar);
+
+    row.appendChild(label);
+    row.appendChild(track);
+    row.addEventListener('click', () => selectSection(def.id));
+    wrap.appendChild(row);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Content validation
+// ─────────────────────────────────────────────────────────────────────────────
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+// Structured header fields of a section (see roleHeader)
+const ROLE_FIELDS = ['role', 'company', 'location', 'dates'];
+
+function isWellFormedUrl(url) {
+  if (typeof url !== 'string' || !url.trim()) return false;
+  try {
+    return LINK_PROTOCOLS.includes(new URL(url).protocol);
+  } catch (_) {
+    return false;
+  }
+}
+
+/** Image / video reference in `media`: a path relative to the page, or an http(s) URL. */
+function isMediaUrl(url) {
+  if (typeof url !== 'string' || !url.trim()) return false;
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(url.trim())) return true;
+  return /^https?:/i.test(url.trim()) && isWellFormedUrl(url);
+}
+
+/**
+ * Validate raw resume.json data and the station layout derived from it.
+ *
+ * Returns { sections, defs, board, issues }:
+ *   sections — sections that passed the schema checks (broken ones dropped)
+ *   defs     — station defs built from those sections
+ *   board    — the board generated for them (not applied; see buildStationDefs)
+ *   issues   — [{ level: 'error' | 'warn', where, message }]
+ * 'error' means something was dropped or ignored; 'warn' means it was kept
+ * but is probably not what the author intended.
+ */
+function validateResume(data) {
+  const issues   = [];
+  const sections = [];
+  const seen     = new Set();
+  const report   = (level, where, message) => issues.push({ level, where, message });
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.sections)) {
+    report('error', 'resume.json', 'top-level "sections" array is missing');
+    return { sections, ...buildStationDefs({ sections }), issues };   // no stations, minimum board
+  }
+
+  data.sections.forEach((section, i) => {
+    const where = section && typeof section.id === 'string' && section.id
+      ? section.id : `sections[${i}]`;
+
+    if (!section || typeof section !== 'object') {
+      report('error', where, 'section is not an object — dropped'); return;
+    }
+    if (typeof section.id !== 'string' || !section.id.trim()) {
+      report('error', where, 'missing "id" — dropped'); return;
+    }
+    if (seen.has(section.id)) {
+      report('error', where, 'duplicate id — later copy dropped'); return;
+    }
+    for (const key of ROLE_FIELDS) {
+      if (section[key] !== undefined && (typeof section[key] !== 'string' || !section[key].trim())) {
+        report('warn', where, `"${key}" must be a non-empty string — ignored`);
+        delete section[key];
+      }
+    }
+    // A role needs no title of its own: "Role · Company"
+    if (section.title === undefined && (section.role || section.company)) {
+      section.title = [section.role, section.company].filter(Boolean).join(' · ');
+    }
+    if (typeof section.title !== 'string' || !section.title.trim()) {
+      report('error', where, 'missing "title" — dropped'); return;
+    }
+    if (!Array.isArray(section.bullets) || section.bullets.some(b => typeof b !== 'string')) {
+      report('error', where, '"bullets" must be an array of strings — dropped'); return;
+    }
+    if (section.tags !== undefined &&
+        (!Array.isArray(section.tags) || section.tags.some(t => typeof t !== 'string'))) {
+      report('warn', where, '"tags" must be an array of strings — ignored (section shown on every track)');
+      delete section.tags;
+    }
+    if (section.skills !== undefined &&
+        (!Array.isArray(section.skills) || section.skills.some(k => typeof k !== 'string'))) {
+      report('warn', where, '"skills" must be an array of strings — ignored');
+      delete section.skills;
+    }
+    if (section.details !== undefined) {
+      if (!Array.isArray(section.details)) {
+        report('warn', where, '"details" must be an array — ignored');
+        delete section.details;
+      } else {
+        // "Title" is shorthand for { "title": "Title" }; bullets are optional
+        section.details = section.details.flatMap((d, j) => {
+          if (typeof d === 'string' && d.trim()) return [{ title: d, bullets: [] }];
+          const bullets = d && d.bullets === undefined ? [] : d && d.bullets;
+          if (d && typeof d.title === 'string' && d.title.trim() &&
+              Array.isArray(bullets) && bullets.every(b => typeof b === 'string')) {
+            return [{ title: d.title, bullets }];
+          }
+          report('warn', where, `details[${j}] needs a "title" and optional "bullets" strings — dropped`);
+          return [];
+        });
+      }
+    }
+    if (section.media !== undefined) {
+      if (!Array.isArray(section.media)) {
+        report('warn', where, '"media" must be an array — ignored');
+        delete section.media;
+      } else {
+        section.media = section.media.filter((m, j) => {
+          if (!m || typeof m !== 'object') {
+            report('warn', where, `media[${j}] is not an object — dropped`);
+            return false;
+          }
+          for (const key of ['src', 'thumb', 'video']) {
+            if (m[key] !== undefined && !isMediaUrl(m[key])) {
+              report('warn', where, `media[${j}].${key} ${JSON.stringify(m[key])} is not a relative path or http(s) URL — ignored`);
+              delete m[key];
+            }
+          }
+          if (!m.src && !m.video) {
+            report('warn', where, `media[${j}] needs an image "src" or a "video" URL — dropped`);
+            return false;
+          }
+          if (!m.alt) report('warn', where, `media[${j}] has no "alt" text — the caption is used instead`);
+          return true;
+        });
+      }
+    }
+    for (const key of ['start', 'end']) {
+      if (section[key] !== undefined && parseDateValue(section[key], key === 'end') === null) {
+        report('warn', where, `"${key}" ${JSON.stringify(section[key])} is not a date like "2021-03", "Mar 2021" or "present" — ignored`);
+        delete section[key];
+      }
+    }
+    if (section.end !== undefined && section.start === undefined) {
+      report('warn', where, '"end" without "start" — ignored');
+      delete section.end;
+    }
+    if (section.start !== undefined && !sectionDates(section)) {
+      report('warn', where, '"end" is before "start" — dates ignored');
+      delete section.start;
+      delete section.end;
+    }
+    // `link` is shorthand for a one-entry `links`; both end up in `links`
+    if (section.links !== undefined && !Array.isArray(section.links)) {
+      report('error', where, '"links" must be an array of { "label", "url" } objects — ignored');
+      delete section.links;
+    }
+    const links = [];
+    const checkLink = (link, name) => {
+      if (!link || !isWellFormedUrl(link.url)) {
+        report('error', where, `${name}.url ${JSON.stringify(link && link.url)} is not a well-formed http(s)/mailto/tel URL — link ignored`);
+        return;
+      }
+      if (!link.label) report('warn', where, `${name} has no "label" — the URL is shown instead`);
+      links.push(link);
+    };
+    if (section.link !== undefined) checkLink(section.link, 'link');
+    (section.links || []).forEach((link, j) => checkLink(link, `links[${j}]`));
+    delete section.link;
+    if (links.length) section.links = links;
+    else delete section.links;
+    seen.add(section.id);
+    sections.push(section);
+  });
+
+  if (data.meta !== undefined) {
+    const meta = data.meta;
+    if (!meta || typeof meta !== 'object') {
+      report('error', 'meta', 'meta is not an object — ignored');
+      delete data.meta;
+    } else {
+      if (!meta.name) report('warn', 'meta', 'meta has no "name" — contact card hidden');
+      for (const key of ['linkedin', 'github']) {
+        if (meta[key] && !isWellFormedUrl(meta[key])) {
+          report('warn', `meta.${key}`, `${JSON.stringify(meta[key])} is not a well-formed URL`);
+        }
+      }
+      if (meta.titles !== undefined && !Array.isArray(meta.titles)) {
+        report('warn', 'meta.titles', 'titles should be an array of strings — ignored');
+        delete meta.titles;
+      }
+    }
+  }
+
+  if (data.theme !== undefined) {
+    const theme = data.theme;
+    if (!theme || typeof theme !== 'object') {
+      report('error', 'theme', 'theme is not an object — ignored');
+      delete data.theme;
+    } else {
+      const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+      if (theme.themes !== undefined && !isObject(theme.themes)) {
+        report('error', 'theme.themes', '"themes" must be an object keyed by theme id — ignored');
+        delete theme.themes;
+      }
+      for (const [id, entry] of Object.entries(theme.themes || {})) {
+        if (!isObject(entry)) {
+          report('error', `theme.themes.${id}`, 'theme is not an object — ignored');
+          delete theme.themes[id];
+          continue;
+        }
+        for (const [key, value] of Object.entries(entry)) {
+          if (key === 'label' || key === 'base' || key === 'scheme') continue;
+          const ok = THEME_ALPHA_KEYS.includes(key)
+            ? typeof value === 'number' && value >= 0 && value <= 1
+            : key in THEMES.pcb && typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+          if (!ok) {
+            report('warn', `theme.themes.${id}.${key}`, `${JSON.stringify(value)} is not a valid theme value — ignored`);
+            delete entry[key];
+          }
+        }
+      }
+      if (theme.default && !THEMES[theme.default] && !(theme.themes && theme.themes[theme.default])) {
+        report('warn', 'theme.default', `no theme named "${theme.default}" — ignored`);
+      }
+    }
+  }
+
+  const layout = data.layout || {};
+  for (const id of Object.keys(layout)) {
+    if (!seen.has(id)) report('warn', `layout.${id}`, 'layout entry matches no section');
+  }
+  if (data.board !== undefined &&
+      (!data.board || typeof data.board !== 'object' ||
+       (data.board.seed !== undefined && !Number.isInteger(data.board.seed)))) {
+    report('warn', 'board', '"board" must be an object with an integer "seed" — seed derived from the section ids instead');
+    delete data.board;
+  }
+  const limit = gridLimit(sections.length);
+  for (const section of sections) {
+    const spec = stationSpec(section, layout);
+    if (spec === undefined || spec === false) continue;
+    if (!spec || typeof spec !== 'object') {
+      report('error', section.id, 'station is not an object — not placed on the map');
+    } else if (Number.isInteger(spec.col) !== Number.isInteger(spec.row)) {
+      report('warn', section.id, 'station needs both "col" and "row" — placed automatically');
+    } else if (spec.col < 0 || spec.row < 0) {
+      report('warn', section.id, `station col/row ${spec.col}/${spec.row} is off the trace grid — clamped to 0`);
+    } else if (spec.col >= limit || spec.row >= limit) {
+      report('warn', section.id, `station col/row ${spec.col}/${spec.row} is past the ${limit}-cell grid limit — clamped`);
+      spec.col = Math.min(spec.col, limit - 1);
+      spec.row = Math.min(spec.row, limit - 1);
+    } else if (Number.isFinite(spec.x) && Number.isFinite(spec.y) && spec.snap !== false) {
+      const cell = cellAt(spec.x, spec.y);
+      if (cell.col >= limit || cell.row >= limit) {
+        report('warn', section.id, `station x/y ${spec.x}/${spec.y} is past the ${limit}-cell grid limit — clamped to its edge`);
+      }
+    }
+  }
+
+  const { defs, board } = buildStationDefs({ ...data, sections });
+  const placed = new Set(defs.map(d => d.id));
+  for (const section of sections) {
+    const spec = stationSpec(section, layout);
+    if (!placed.has(section.id) && !spec && spec !== false) {
+      report('warn', section.id, 'no station on the map — reachable from the Section Index only');
+    }
+  }
+
+  for (let i = 0; i < defs.length; i++) {
+    for (let j = i + 1; j < defs.length; j++) {
+      const a = defs[i], b = defs[j];
+      // Gap between the two chip bodies (proximity is measured from their edges)
+      const gap = Math.hypot(Math.max(Math.abs(a.x - b.x) - MODULE_W, 0),
+                             Math.max(Math.abs(a.y - b.y) - MODULE_H, 0));
+      if (a.x === b.x && a.y === b.y) {
+        report('error', a.id, `station shares coordinates (${a.x}, ${a.y}) with "${b.id}"`);
+      } else if (gap < INTERACT_R * 2) {
+        report('warn', a.id, `interaction radius overlaps "${b.id}" (${Math.round(gap)} px between modules, needs ${INTERACT_R * 2})`);
+      }
+    }
+  }
+
+  return { sections, defs, board, issues };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Diagnostics overlay
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Show content problems in the #diagnostics overlay.
+ * fatal = true replaces the loading screen (the board never boots);
+ * otherwise the panel can be dismissed and the board stays usable.
+ */
+function showDiagnostics(issues, fatal) {
+  for (const issue of issues) {
+    const log = issue.level === 'error' ? console.error : console.warn;
+    log(`[Resume] ${issue.where}: ${issue.message}`);
+  }
+
+  const loader = document.getElementById('loading');
+  if (fatal && loader) loader.remove();
+
+  const panel = document.getElementById('diagnostics');
+  const errors = issues.filter(i => i.level === 'error').length;
+  const warns  = issues.length - errors;
+  document.getElementById('diagnostics-summary').textContent =
+    fatal ? 'BOOT HALTED' : `${errors} ERROR${errors === 1 ? '' : 'S'} · ${warns} WARNING${warns === 1 ? '' : 'S'}`;
+
+  renderIssueList(document.getElementById('diagnostics-list'), issues);
+
+  const dismiss = document.getElementById('diagnostics-dismiss');
+  dismiss.classList.toggle('hidden', fatal);
+  panel.classList.toggle('fatal', fatal);
+  panel.classList.remove('hidden');
+  if (!fatal) dismiss.focus();
+}
+
+function closeDiagnostics() {
+  document.getElementById('diagnostics').classList.add('hidden');
+}
+
+/** One `.diag-item` row (level · where · message) per issue. Also used by the editor panel. */
+function renderIssueList(ul, issues) {
+  ul.innerHTML = '';
+  for (const issue of issues) {
+    const li    = document.createElement('li');
+    li.className = `diag-item diag-${issue.level}`;
+    const tag   = document.createElement('span');
+    tag.className = 'diag-level';
+    tag.textContent = issue.level.toUpperCase();
+    const where = document.createElement('span');
+    where.className = 'diag-where';
+    where.textContent = issue.where;
+    const msg   = document.createElement('span');
+    msg.className = 'diag-message';
+    msg.textContent = issue.message;
+    li.append(tag, where, msg);
+    ul.appendChild(li);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Résumé meta: page title, silkscreen, contact card, vCard
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** "Jane Q. Doe" → "JANE.D" (board silkscreen owner tag). */
+function silkscreenTag(name) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return 'RESUME';
+  const first = parts[0].toUpperCase();
+  return parts.length > 1 ? `${first}.${parts[parts.length - 1][0].toUpperCase()}` : first;
+}
+
+/** Drive the document title, canvas title overlay and contact card from `meta`. */
+function applyMeta(meta) {
+  resumeMeta = meta || {};
+  const name = resumeMeta.name;
+  if (name) {
+    document.title = `Walkable Resume — ${name}`;
+    document.getElementById('page-title').textContent = `${name} Interactive Resume (WASD to move)`;
+  }
+  renderContactCard(resumeMeta);
+}
+
+function renderContactCard(meta) {
+  const card = document.getElementById('sidebar-contact');
+  if (!meta.name) { card.classList.add('hidden'); return; }
+
+  document.getElementById('contact-name').textContent = meta.name;
+  document.getElementById('contact-titles').textContent = (meta.titles || []).join(' · ');
+
+  const ul = document.getElementById('contact-list');
+  ul.innerHTML = '';
+  const rows = [
+    ['LOC',   meta.location, null],
+    ['PHONE', meta.phone,    meta.phone && `tel:${meta.phone.replace(/[^\d+]/g, '')}`],
+    ['EMAIL', meta.email,    meta.email && `mailto:${meta.email}`],
+    ['IN',    meta.linkedin && meta.linkedin.replace(/^https?:\/\/(www\.)?/, ''), meta.linkedin],
+    ['GH',    meta.github   && meta.github.replace(/^https?:\/\/(www\.)?/, ''),   meta.github],
+  ];
+  for (const [key, text, href] of rows) {
+    if (!text) continue;
+    const li = document.createElement('li');
+    const k  = document.createElement('span');
+    k.className = 'contact-key';
+    k.textContent = key;
+    li.appendChild(k);
+    if (href) {
+      const a = document.createElement('a');
+      a.href = href;
+      a.textContent = text;
+      if (/^https?:/.test(href)) { a.target = '_blank'; a.rel = 'noopener noreferrer'; }
+      li.appendChild(a);
+    } else {
+      li.appendChild(document.createTextNode(text));
+    }
+    ul.appendChild(li);
+  }
+
+  card.classList.remove('hidden');
+}
+
+/** Escape a vCard 3.0 property value (RFC 2426 §4). */
+function vcardEscape(value) {
+  return String(value).replace(/[\\;,]/g, m => '\\' + m).replace(/\r?\n/g, '\\n');
+}
+
+/** Fold content lines longer than 75 characters (RFC 2425 §5.8.1). */
+function vcardFold(line) {
+  const out = [];
+  for (let i = 0; i < line.length; i += i === 0 ? 75 : 74) {
+    out.push((i === 0 ? '' : ' ') + line.slice(i, i === 0 ? 75 : i + 74));
+  }
+  return out.join('\r\n');
+}
+
+function buildVCard(meta) {
+  const parts = String(meta.name).trim().split(/\s+/);
+  const last  = parts.length > 1 ? parts[parts.length - 1] : '';
+  const first = parts.length > 1 ? parts.slice(0, -1).join(' ') : parts[0];
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `N:${vcardEscape(last)};${vcardEscape(first)};;;`,
+    `FN:${vcardEscape(meta.name)}`,
+  ];
+  if (meta.titles && meta.titles.length) lines.push(`TITLE:${vcardEscape(meta.titles.join(' / '))}`);
+  if (meta.location) lines.push(`ADR;TYPE=WORK:;;;${vcardEscape(meta.location)};;;`);
+  if (meta.phone)    lines.push(`TEL;TYPE=CELL:${vcardEscape(meta.phone)}`);
+  if (meta.email)    lines.push(`EMAIL;TYPE=INTERNET:${vcardEscape(meta.email)}`);
+  if (meta.linkedin) lines.push(`URL:${vcardEscape(meta.linkedin)}`);
+  if (meta.github)   lines.push(`URL:${vcardEscape(meta.github)}`);
+  lines.push('END:VCARD');
+  return lines.map(vcardFold).join('\r\n') + '\r\n';
+}
+
+/** Generate the .vcf on the client and hand it to the browser as a download. */
+function downloadVCard() {
+  if (!resumeMeta.name) return;
+  const blob = new Blob([buildVCard(resumeMeta)], { type: 'text/vcard;charset=utf-8' });
+  downloadBlob(blob, resumeMeta.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-') + '.vcf');
+}
+
+function downloadBlob(blob, filename) {
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Persistent preferences (localStorage may be unavailable, e.g. privacy mode)
+// ─────────────────────────────────────────────────────────────────────────────
+
+function storageGet(key) {
+  try { return window.localStorage.getItem(key); } catch (_) { return null; }
+}
+
+function storageSet(key, value) {
+  try {
+    if (value === null) window.localStorage.removeItem(key);
+    else window.localStorage.setItem(key, value);
+  } catch (_) { /* preference just won't persist */ }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Themes (Phaser palette + CSS custom properties)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const THEME_KEY = 'resume.theme';   // explicit choice; absent = follow the system
+const THEME_ALPHA_KEYS = ['neonDim', 'textDim', 'border'];
+let themeDefault = null;            // resume.json `theme.default`, if any
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return `${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}`;
+}
+
+/**
+ * Merge resume.json `theme.themes` into THEMES: an entry named after a
+ * built-in overrides some of its colours; any other name adds a theme based
+ * on `base` (default "pcb").
+ */
+function loadThemes(config) {
+  if (!config) return;
+  for (const [id, overrides] of Object.entries(config.themes || {})) {
+    const base = THEMES[id] || THEMES[overrides.base] || THEMES.pcb;
+    THEMES[id] = { ...base, label: THEMES[id] ? base.label : id, ...overrides };
+  }
+  if (config.default && THEMES[config.default]) themeDefault = config.default;
+}
+
+/**
+ * Theme to use. Precedence: stored choice → prefers-contrast: more →
+ * resume.json default → prefers-color-scheme: light → dark PCB.
+ */
+function preferredThemeId() {
+  const stored = storageGet(THEME_KEY);
+  if (stored && THEMES[stored]) return stored;
+  if (window.matchMedia('(prefers-contrast: more)').matches) return 'contrast';
+  if (themeDefault) return themeDefault;
+  return window.matchMedia('(prefers-color-scheme: light)').matches ? 'solder' : 'pcb';
+}
+
+/** Make a theme active: Phaser palette, CSS custom properties, live redraw. */
+function applyTheme(id) {
+  const t = currentTheme = THEMES[id] || THEMES.pcb;
+  for (const key of ['neon', 'neonG', 'bg', 'mid', 'grid', 'textBright', 'search', 'skill']) {
+    palette[key] = parseInt(t[key].slice(1), 16);
+  }
+
+  const vars = {
+    '--neon': t.neon,         '--neon-rgb': hexToRgb(t.neon),
+    '--neon-g': t.neonG,      '--neon-g-rgb': hexToRgb(t.neonG),
+    '--pcb-bg': t.bg,
+    '--pcb-panel-solid': t.panel, '--panel-rgb': hexToRgb(t.panel),
+    '--text-main': t.text,    '--text-rgb': hexToRgb(t.text),
+    '--text-bright': t.textBright,
+    '--search': t.search,     '--search-rgb': hexToRgb(t.search),
+    '--skill': t.skill,       '--skill-rgb': hexToRgb(t.skill),
+    '--skill-text': t.skillText,
+    '--danger': t.danger,     '--warn': t.warn,
+    '--neon-dim-alpha': t.neonDim, '--text-dim-alpha': t.textDim, '--border-alpha': t.border,
+  };
+  const root = document.documentElement;
+  for (const [name, value] of Object.entries(vars)) root.style.setProperty(name, value);
+  root.style.colorScheme = t.scheme;
+  root.dataset.theme = id in THEMES ? id : 'pcb';
+
+  // Station colours may be palette keywords, so redraw everything that uses them
+  buildMinimap();
+  buildTimelineStrip();
+  if (activeScene) {
+    noteActivity();   // a system theme change can arrive while the board sleeps
+    exitInterior();   // drawn in the old palette
+    activeScene.redraw();
+  }
+}
+
+/** Switch theme from the picker ('' = follow the system again). */
+function setTheme(id, persist) {
+  if (persist) storageSet(THEME_KEY, id || null);
+  document.getElementById('theme-select').value = id || '';
+  applyTheme(id || preferredThemeId());
+}
+
+function buildThemeSelect() {
+  const select = document.getElementById('theme-select');
+  select.innerHTML = '';
+  const auto = document.createElement('option');
+  auto.value = '';
+  auto.textContent = 'Auto';
+  select.appendChild(auto);
+  for (const [id, t] of Object.entries(THEMES)) {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = t.label;
+    select.appendChild(opt);
+  }
+  const stored = storageGet(THEME_KEY);
+  select.value = stored && THEMES[stored] ? stored : '';
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Game keyboard ownership
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Phaser captures arrow keys/WASD page-wide (preventDefault on keydown).
+ * Release them — and stop the probe reacting — while text mode is on or a
+ * text field has focus, so the article scrolls and inputs can be typed into.
+ */
+function syncGameKeyboard() {
+  const on = !textMode && !typingInField;
+  for (const scene of [activeScene, interiorScene()]) {
+    const keyboard = scene && scene.input.keyboard;
+    if (!keyboard) continue;
+    keyboard.enabled = on;
+    if (on) {
+      keyboard.enableGlobalCapture();
+    } else {
+      keyboard.disableGlobalCapture();
+      keyboard.resetKeys();
+    }
+  }
+}
+
+function isTextField(el) {
+  return !!el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Keyboard station focus (Tab / Shift-Tab through the modules)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Modules in reading order for Tab cycling: rows top to bottom, left to
+ * right (timeline: by date). Off-track modules are inert and skipped.
+ */
+function stationReadingOrder() {
+  const byDate = layoutMode === 'timeline';
+  return activeStationDefs()
+    .filter(d => isOnTrack(d.id))
+    .sort((a, b) => (byDate ? a.x - b.x || a.y - b.y : a.y - b.y || a.x - b.x));
+}
+
+function boardHasFocus() {
+  return document.activeElement === document.getElementById('game-container');
+}
+
+/**
+ * Move keyboard focus `step` modules along the reading order. Returns false
+ * once it runs off either end, so Tab can leave the board (no focus trap).
+ */
+function cycleStationFocus(step) {
+  const order = stationReadingOrder();
+  const i     = order.findIndex(d => d.id === focusedStationId);
+  const next  = i < 0 ? (step > 0 ? 0 : order.length - 1) : i + step;
+  if (next < 0 || next >= order.length) {
+    focusedStationId = null;
+    return false;
+  }
+  const def = order[next];
+  focusedStationId = def.id;
+  if (activeScene) activeScene.flyToStation(def.id);
+  announce(`${def.label}: ${sectionMap[def.id].title}. Module ${next + 1} of ${order.length}. Press Enter to open.`);
+  return true;
+}
+
+/** Polite screen-reader message through the visually hidden #sr-announcer region. */
+function announce(message) {
+  const el = document.getElementById('sr-announcer');
+  el.textContent = '';
+  // Set on the next frame so a repeated message is still read out
+  requestAnimationFrame(() => { el.textContent = message; });
+}
+
+/** Enter on a module: focus lands on the readout heading (or the editor form). */
+function focusReadout() {
+  document.getElementById(editMode ? 'edit-title' : 'sidebar-title').focus();
+}
+
+/** Esc from the callout or readout: back to the board, keeping its focused module. */
+function focusBoard() {
+  if (!textMode) document.getElementById('game-container').focus();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Text mode (accessible, non-game résumé)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const TEXT_MODE_KEY = 'resume.textMode';   // '1' | '0' — explicit user choice
+
+function canvasSupported() {
+  const c = document.createElement('canvas');
+  return !!(c.getContext && (c.getContext('webgl') || c.getContext('2d')));
+}
+
+/**
+ * Decide the boot mode. Precedence: ?text query param → stored toggle choice →
+ * prefers-reduced-motion → no canvas support.
+ */
+function prefersTextMode() {
+  if (new URLSearchParams(location.search).has('text')) return true;
+  const stored = storageGet(TEXT_MODE_KEY);
+  if (stored !== null) return stored === '1';
+  if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return true;
+  return !canvasSupported();
+}
+
+/**
+ * Switch between the PCB board and the text résumé.
+ * The Phaser game is only created the first time map mode is shown, and is
+ * put to sleep (not destroyed) while text mode is on.
+ */
+function setTextMode(on, persist) {
+  textMode = on;
+  if (persist) storageSet(TEXT_MODE_KEY, on ? '1' : '0');
+
+  document.body.classList.toggle('text-mode', on);
+  document.getElementById('text-mode').classList.toggle('hidden', !on);
+  const toggle = document.getElementById('mode-toggle');
+  toggle.setAttribute('aria-pressed', on ? 'true' : 'false');
+  toggle.textContent = on ? 'Map mode' : 'Text mode';
+
+  if (on) {
+    exitInterior();
+    closeCallout();
+    renderTextMode();
+    sleepLoop();
+  } else if (!phaserGame) {
+    startGame();
+  } else {
+    noteActivity();   // wakes the loop and restarts the idle timer
+    phaserGame.scale.refresh();
+  }
+  syncGameKeyboard();
+}
+
+/** Render every section in sectionMap as one linear, semantic article. */
+function renderTextMode() {
+  const main = document.getElementById('text-mode');
+  main.innerHTML = '';
+
+  const article = document.createElement('article');
+  article.className = 'text-resume';
+
+  const header = document.createElement('header');
+  const h1 = document.createElement('h1');
+  h1.textContent = resumeMeta.name || 'Résumé';
+  header.appendChild(h1);
+  if (resumeMeta.titles && resumeMeta.titles.length) {
+    const p = document.createElement('p');
+    p.className = 'text-titles';
+    p.textContent = resumeMeta.titles.join(' · ');
+    header.appendChild(p);
+  }
+  article.appendChild(header);
+
+  for (const section of Object.values(sectionMap)) {
+    if (!isOnTrack(section.id)) continue;
+    const sec = document.createElement('section');
+    sec.className = 'text-section';
+    sec.id = `text-${section.id}`;
+    sec.tabIndex = -1;
+    sec.setAttribute('aria-labelledby', `text-${section.id}-title`);
+
+    const h2 = document.createElement('h2');
+    h2.id = `text-${section.id}-title`;
+    h2.textContent = section.title;
+    sec.appendChild(h2);
+
+    if (roleHeader(section)) {
+      const p = document.createElement('p');
+      p.className = 'text-role';
+      renderRoleHeader(p, section, '');
+      sec.appendChild(p);
+    }
+
+    const ul = document.createElement('ul');
+    for (const b of section.bullets) {
+      const li = document.createElement('li');
+      appendInline(li, b, '');
+      ul.appendChild(li);
+    }
+    sec.appendChild(ul);
+
+    if (section.details && section.details.length) {
+      const details = document.createElement('ul');
+      details.className = 'text-details';
+      for (const d of section.details) details.appendChild(renderDetail(d, ''));
+      sec.appendChild(details);
+    }
+
+    // Media as plain links: the article loads no images
+    if (section.media && section.media.length) {
+      const media = document.createElement('ul');
+      media.className = 'text-media';
+      section.media.forEach((m, i) => {
+        const li = document.createElement('li');
+        const a  = document.createElement('a');
+        a.href = m.video || m.src;
+        a.textContent = `${m.video ? 'Video' : 'Image'}: ${m.caption || m.alt || i + 1}`;
+        a.target = '_blank';
+        a.rel = 'noopener noreferrer';
+        li.appendChild(a);
+        media.appendChild(li);
+      });
+      sec.appendChild(media);
+    }
+
+    if (section.links) {
+      const p = document.createElement('p');
+      p.className = 'text-links';
+      renderLinks(p, section.links);
+      sec.appendChild(p);
+    }
+    article.appendChild(sec);
+  }
+  main.appendChild(article);
+}
+
+/** Table-of-contents jump: scroll a text-mode section into view and focus it. */
+function focusTextSection(sectionId) {
+  const sec = document.getElementById(`text-${sectionId}`);
+  if (!sec) return;
+  sec.scrollIntoView({ block: 'start' });
+  sec.focus({ preventScroll: true });
+  document.querySelectorAll('.index-item').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.sectionId === sectionId);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Print / PDF export
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Rebuild #print-resume from meta + sectionMap (in resume.json order).
+ * Links are written out as visible URLs since paper can't be clicked.
+ * Runs on every `beforeprint`, so Ctrl+P gets the same document.
+ */
+function buildPrintResume() {
+  const root = document.getElementById('print-resume');
+  root.innerHTML = '';
+
+  const header = document.createElement('header');
+  header.className = 'print-header';
+  const h1 = document.createElement('h1');
+  h1.textContent = resumeMeta.name || 'Résumé';
+  header.appendChild(h1);
+  if (resumeMeta.titles && resumeMeta.titles.length) {
+    const p = document.createElement('p');
+    p.className = 'print-titles';
+    p.textContent = resumeMeta.titles.join(' · ');
+    header.appendChild(p);
+  }
+  const contact = ['location', 'phone', 'email', 'linkedin', 'github']
+    .map(key => resumeMeta[key])
+    .filter(Boolean);
+  if (contact.length) {
+    const p = document.createElement('p');
+    p.className = 'print-contact';
+    p.textContent = contact.join('  |  ');
+    header.appendChild(p);
+  }
+  root.appendChild(header);
+
+  for (const section of Object.values(sectionMap)) {
+    const sec = document.createElement('section');
+    sec.className = 'print-section';
+    const h2 = document.createElement('h2');
+    h2.textContent = section.title;
+    sec.appendChild(h2);
+
+    if (roleHeader(section)) {
+      const p = document.createElement('p');
+      p.className = 'print-role';
+      renderRoleHeader(p, section, '');
+      sec.appendChild(p);
+    }
+
+    const ul = document.createElement('ul');
+    for (const b of section.bullets) {
+      const li = document.createElement('li');
+      appendInline(li, b, '');
+      ul.appendChild(li);
+    }
+    sec.appendChild(ul);
+
+    for (const link of section.links || []) {
+      const p = document.createElement('p');
+      p.className = 'print-link';
+      p.textContent = link.label ? `${link.label}: ${link.url}` : link.url;
+      sec.appendChild(p);
+    }
+    root.appendChild(sec);
+  }
+}
+
+function printResume() {
+  closeCallout();
+  buildPrintResume();
+  window.print();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Movement input (both scenes), analog helpers + on-screen stick
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Scale a vector down to length 1 if it is longer (diagonal keys). */
+function clampUnit(x, y) {
+  const m = Math.hypot(x, y);
+  return m > 1 ? { x: x / m, y: y / m } : { x, y };
+}
+
+/** Radial deadzone, rescaled so output still ramps smoothly from 0 to 1. */
+function applyDeadzone(x, y) {
+  const m = Math.hypot(x, y);
+  if (m < STICK_DEADZONE) return { x: 0, y: 0 };
+  const scaled = Math.min(1, (m - STICK_DEADZONE) / (1 - STICK_DEADZONE));
+  return { x: x / m * scaled, y: y / m * scaled };
+}
+
+/** WASD + arrow keys on a scene's keyboard (read by readMoveInput()). */
+function bindMoveKeys(scene) {
+  const { KeyCodes } = Phaser.Input.Keyboard;
+  scene.cursors = scene.input.keyboard.createCursorKeys();
+  scene.wasd = {
+    up:    scene.input.keyboard.addKey(KeyCodes.W),
+    down:  scene.input.keyboard.addKey(KeyCodes.S),
+    left:  scene.input.keyboard.addKey(KeyCodes.A),
+    right: scene.input.keyboard.addKey(KeyCodes.D),
+  };
+  scene.input.keyboard.addCapture([
+    KeyCodes.UP, KeyCodes.DOWN, KeyCodes.LEFT, KeyCodes.RIGHT,
+    KeyCodes.W,  KeyCodes.A,    KeyCodes.S,    KeyCodes.D,
+  ]);
+}
+
+/**
+ * Movement intent as a vector of length ≤ 1. Keys give full-speed unit
+ * directions; the gamepad left stick / d-pad and the on-screen stick are
+ * analog, so a half-tilted stick moves at half PLAYER_SPEED. The strongest
+ * source wins.
+ */
+function readMoveInput(scene) {
+  const { cursors, wasd } = scene;
+  const sources = [];
+
+  let kx = 0, ky = 0;
+  if (cursors.left.isDown  || wasd.left.isDown)  kx -= 1;
+  if (cursors.right.isDown || wasd.right.isDown) kx += 1;
+  if (cursors.up.isDown    || wasd.up.isDown)    ky -= 1;
+  if (cursors.down.isDown  || wasd.down.isDown)  ky += 1;
+  sources.push(clampUnit(kx, ky));
+
+  const pad = scene.input.gamepad && scene.input.gamepad.pad1;
+  if (pad && pad.connected) {
+    sources.push(applyDeadzone(pad.leftStick.x, pad.leftStick.y));
+    sources.push(clampUnit((pad.right ? 1 : 0) - (pad.left ? 1 : 0),
+                           (pad.down  ? 1 : 0) - (pad.up   ? 1 : 0)));
+  }
+  if (touchStick.active) sources.push(applyDeadzone(touchStick.x, touchStick.y));
+
+  let best = { x: 0, y: 0 }, bestMag = 0;
+  for (const v of sources) {
+    const mag = Math.hypot(v.x, v.y);
+    if (mag > bestMag) { best = v; bestMag = mag; }
+  }
+  return best;
+}
+
+/**
+ * Wire the #touch-stick element: shown automatically on coarse-pointer
+ * devices, it writes a -1..1 vector into `touchStick` for readMoveInput().
+ */
+function setupTouchStick() {
+  const base = document.getElementById('touch-stick');
+  const knob = base.querySelector('.touch-stick-knob');
+  const coarse = window.matchMedia('(pointer: coarse)');
+  const sync = () => {
+    base.classList.toggle('hidden', !coarse.matches);
+    document.body.classList.toggle('has-touch-stick', coarse.matches);
+  };
+  sync();
+  coarse.addEventListener('change', sync);
+
+  const move = (e) => {
+    const r  = base.getBoundingClientRect();
+    const dx = e.clientX - (r.left + r.width / 2);
+    const dy = e.clientY - (r.top  + r.height / 2);
+    const m  = Math.min(1, Math.hypot(dx, dy) / TOUCH_STICK_R);
+    const a  = Math.atan2(dy, dx);
+    touchStick.x = Math.cos(a) * m;
+    touchStick.y = Math.sin(a) * m;
+    knob.style.transform =
+      `translate(${touchStick.x * TOUCH_STICK_R}px, ${touchStick.y * TOUCH_STICK_R}px)`;
+  };
+  const release = () => {
+    touchStick.active = false;
+    touchStick.x = touchStick.y = 0;
+    knob.style.transform = '';
+  };
+
+  base.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    base.setPointerCapture(e.pointerId);
+    touchStick.active = true;
+    move(e);
+  });
+  base.addEventListener('pointermove', (e) => { if (touchStick.active) move(e); });
+  base.addEventListener('pointerup', release);
+  base.addEventListener('pointercancel', release);
+  // Keep the game-area "click outside callout" handler from closing it
+  base.addEventListener('click', (e) => e.stopPropagation());
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Trace pathfinding (A* over primary trace intersections)
+// ─────────────────────────────────────────────────────────────────────────────
+
+function nearestIndex(lines, v) {
+  let best = 0;
+  for (let i = 1; i < lines.length; i++) {
+    if (Math.abs(lines[i] - v) < Math.abs(lines[best] - v)) best = i;
+  }
+  return best;
+}
+
+/**
+ * Shortest pad-to-pad route from the pad nearest `from` to the pad nearest
+ * `to`. Every primary trace runs edge to edge, so each pad connects to its
+ * four grid neighbours. Returns world points, both end pads included.
+ */
+function findTracePath(from, to) {
+  const cols = board.cols.length, rows = board.rows.length;
+  const key   = (c, r) => r * cols + c;
+  const point = k => ({ x: board.cols[k % cols], y: board.rows[Math.floor(k / cols)] });
+  const start = key(nearestIndex(board.cols, from.x), nearestIndex(board.rows, from.y));
+  const goal  = key(nearestIndex(board.cols, to.x),   nearestIndex(board.rows, to.y));
+  const goalP = point(goal);
+  const h     = k => { const p = point(k); return Math.abs(p.x - goalP.x) + Math.abs(p.y - goalP.y); };
+
+  const g    = new Map([[start, 0]]);
+  const came = new Map();
+  const open = new Set([start]);
+
+  while (open.size) {
+    let cur = null;
+    for (const k of open) if (cur === null || g.get(k) + h(k) < g.get(cur) + h(cur)) cur = k;
+    if (cur === goal) break;
+    open.delete(cur);
+
+    const c = cur % cols, r = Math.floor(cur / cols);
+    for (const [nc, nr] of [[c - 1, r], [c + 1, r], [c, r - 1], [c, r + 1]]) {
+      if (nc < 0 || nc >= cols || nr < 0 || nr >= rows) continue;
+      const nk = key(nc, nr);
+      const a = point(cur), b = point(nk);
+      const cost = g.get(cur) + Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+      if (cost < (g.has(nk) ? g.get(nk) : Infinity)) {
+        g.set(nk, cost);
+        came.set(nk, cur);
+        open.add(nk);
+      }
+    }
+  }
+
+  const path = [goal];
+  while (path[0] !== start) path.unshift(came.get(path[0]));
+  return path.map(point);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Rail mode (probe movement along the primary traces)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const RAIL_KEY = 'resume.rail';   // '1' | '0' — movement mode choice
+const RAIL_EPS = 0.5;             // px — "on the trace" tolerance
+
+/**
+ * The current layout's traces as axis-aligned segments: { horizontal, at,
+ * from, to } where `at` is the fixed coordinate. `stops` lists where the
+ * probe may turn or must halt along it: its ends plus every pad where
+ * another segment crosses or joins it.
+ */
+function buildRailSegments() {
+  const segs = [];
+  for (const line of layoutTraces()) {
+    for (let i = 1; i < line.length; i++) {
+      const a = line[i - 1], b = line[i];
+      if (a.x !== b.x && a.y !== b.y) continue;   // traces are axis-aligned
+      if (a.x === b.x && a.y === b.y) continue;
+      const horizontal = a.y === b.y;
+      segs.push(horizontal
+        ? { horizontal, at: a.y, from: Math.min(a.x, b.x), to: Math.max(a.x, b.x) }
+        : { horizontal, at: a.x, from: Math.min(a.y, b.y), to: Math.max(a.y, b.y) });
+    }
+  }
+  for (const s of segs) {
+    const stops = new Set([s.from, s.to]);
+    for (const o of segs) {
+      if (o === s) continue;
+      if (o.horizontal !== s.horizontal) {
+        if (o.at >= s.from && o.at <= s.to && s.at >= o.from && s.at <= o.to) stops.add(o.at);
+      } else if (o.at === s.at) {
+        for (const end of [o.from, o.to]) if (end >= s.from && end <= s.to) stops.add(end);
+      }
+    }
+    s.stops = [...stops].sort((a, b) => a - b);
+  }
+  return segs;
+}
+
+function railPoint(seg, along) {
+  return seg.horizontal ? { x: along, y: seg.at } : { x: seg.at, y: along };
+}
+
+/** Closest point on any rail segment, or null if there are none. */
+function nearestRailPoint(segs, p) {
+  let best = null, bestDist = Infinity;
+  for (const s of segs) {
+    const along = s.horizontal ? p.x : p.y;
+    const q = railPoint(s, Math.max(s.from, Math.min(s.to, along)));
+    const d = Math.hypot(q.x - p.x, q.y - p.y);
+    if (d < bestDist) { bestDist = d; best = q; }
+  }
+  return best;
+}
+
+/**
+ * Move up to `dist` px from `p` in the axis direction (dx, dy) along a
+ * segment through `p`, stopping at the next stop so turns land exactly on
+ * pads. Returns the new point, or null if no segment through `p` runs that way.
+ */
+function railStep(segs, p, dx, dy, dist) {
+  const sign = dx || dy;
+  for (const s of segs) {
+    if (s.horizontal !== (dx !== 0)) continue;
+    if (Math.abs((s.horizontal ? p.y : p.x) - s.at) > RAIL_EPS) continue;
+    const cur = s.horizontal ? p.x : p.y;
+    if (cur < s.from - RAIL_EPS || cur > s.to + RAIL_EPS) continue;
+    const next = sign > 0
+      ? s.stops.find(v => v > cur + RAIL_EPS)
+      : s.stops.filter(v => v < cur - RAIL_EPS).pop();
+    if (next === undefined) continue;
+    return railPoint(s, sign > 0 ? Math.min(cur + dist, next) : Math.max(cur - dist, next));
+  }
+  return null;
+}
+
+function setRailMode(on, persist) {
+  railMode = !!on;
+  if (persist) storageSet(RAIL_KEY, railMode ? '1' : '0');
+  document.getElementById('rail-toggle').setAttribute('aria-pressed', railMode ? 'true' : 'false');
+  if (railMode && activeScene && !interiorSectionId) activeScene.snapToRail();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Signal pulses (polylines) + skill trace routing
+// ─────────────────────────────────────────────────────────────────────────────
+
+function pathLength(pts) {
+  let len = 0;
+  for (let i = 1; i < pts.length; i++) len += Math.hypot(pts[i].x - pts[i - 1].x, pts[i].y - pts[i - 1].y);
+  return len;
+}
+
+/** Pulse state: travels `pts` at `rate` (fraction of the path per ms), phase t. */
+function makePulse(pts, rate, color, t) {
+  return { pts, len: pathLength(pts), rate, color, t };
+}
+
+function pointAlongPath(pulse, t) {
+  const { pts } = pulse;
+  let remaining = t * pulse.len;
+  for (let i = 1; i < pts.length; i++) {
+    const a = pts[i - 1], b = pts[i];
+    const seg = Math.hypot(b.x - a.x, b.y - a.y);
+    if (remaining <= seg) {
+      const f = seg ? remaining / seg : 0;
+      return { x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f };
+    }
+    remaining -= seg;
+  }
+  return pts[pts.length - 1];
+}
+
+/**
+ * Station pairs forming a minimum spanning tree (Prim, Manhattan distance —
+ * traces only run horizontally/vertically), so every tagged station is
+ * linked with as little routed trace as possible.
+ */
+function spanningPairs(defs) {
+  if (defs.length < 2) return [];
+  const dist  = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+  const inTree = [defs[0]];
+  const rest   = defs.slice(1);
+  const pairs  = [];
+  while (rest.length) {
+    let best = null;
+    for (const a of inTree) {
+      for (let j = 0; j < rest.length; j++) {
+        const d = dist(a, rest[j]);
+        if (!best || d < best.d) best = { a, j, d };
+      }
+    }
+    const b = rest.splice(best.j, 1)[0];
+    pairs.push([best.a, b]);
+    inTree.push(b);
+  }
+  return pairs;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Deep links + browser history (#section-id)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Section id named by location.hash, or null if it names no known section. */
+function sectionIdFromHash() {
+  let id;
+  try { id = decodeURIComponent(location.hash.slice(1)); } catch (_) { return null; }
+  return id && sectionMap[id] ? id : null;
+}
+
+/** Point just below a station, inside INTERACT_R, where the probe parks. */
+function approachPoint(def) {
+  return { x: def.x, y: Math.min(def.y + APPROACH_OFFSET, board.height - 16) };
+}
+
+/** Record a viewed section in the URL — one history entry per change. */
+function syncHash(sectionId) {
+  if (sectionIdFromHash() === sectionId) return;
+  history.pushState({ sectionId }, '', '#' + encodeURIComponent(sectionId));
+}
+
+/**
+ * Show whatever section the current hash names: load it in the sidebar (or
+ * scroll the text article) and, when `fly` is set, move the probe there.
+ */
+function applyHash(fly) {
+  const id = sectionIdFromHash();
+  exitInterior();
+  if (!id) { closeCallout(); return; }
+  if (textMode) { focusTextSection(id); return; }
+  updateSidebar(sectionMap[id], id);
+  if (fly && activeScene) activeScene.flyToStation(id);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Frame budget: cached overlay geometry, idle + hidden-tab sleep
+// ─────────────────────────────────────────────────────────────────────────────
+
+const IDLE_SLEEP_MS = 15000;   // no input and the probe at rest this long → loop sleeps
+
+// DOM measurements the per-frame overlay code needs. Read once, then reused
+// until a ResizeObserver (game area, container, callout) or the Phaser scale
+// manager invalidates them, so update() never forces a layout.
+const overlayGeometry = {
+  valid:    false,
+  offsetX:  0, offsetY:  0,   // canvas top-left within #game-container
+  scaleX:   1, scaleY:   1,   // CSS px per game px
+  areaW:    0, areaH:    0,   // #game-area
+  calloutW: 0, calloutH: 0,   // #callout
+};
+const calloutBox = { left: 0, top: 0 };   // last placement by positionCallout()
+let overlayDirty = true;   // re-place callout + leader line on the next frame
+let lastActivity = 0;      // performance.now() of the last input
+let loopAsleep   = false;  // game loop put to sleep (idle or hidden tab)
+
+function invalidateGeometry() {
+  overlayGeometry.valid = false;
+  overlayDirty = true;
+}
+
+function readGeometry() {
+  const geo = overlayGeometry;
+  if (geo.valid || !activeScene) return geo;
+  const scale     = activeScene.scale;
+  const container = document.getElementById('game-container');
+  const canvas    = container.querySelector('canvas');
+  const canvasRect    = canvas ? canvas.getBoundingClientRect() : container.getBoundingClientRect();
+  const containerRect = container.getBoundingClientRect();
+  const gameArea  = document.getElementById('game-area');
+  const callout   = document.getElementById('callout');
+  geo.offsetX  = canvasRect.left - containerRect.left;
+  geo.offsetY  = canvasRect.top  - containerRect.top;
+  // Phaser Scale gives us the actual pixel size the canvas is rendered at
+  geo.scaleX   = scale.displaySize.width  / scale.gameSize.width;
+  geo.scaleY   = scale.displaySize.height / scale.gameSize.height;
+  geo.areaW    = gameArea.offsetWidth;
+  geo.areaH    = gameArea.offsetHeight;
+  geo.calloutW = callout.offsetWidth  || 220;
+  geo.calloutH = callout.offsetHeight || 160;
+  geo.valid    = true;
+  return geo;
+}
+
+function sleepLoop() {
+  if (!phaserGame || loopAsleep) return;
+  loopAsleep = true;
+  phaserGame.loop.sleep();
+}
+
+/** No-op in text mode: the board stays asleep behind the article. */
+function wakeLoop() {
+  if (!phaserGame || !loopAsleep || textMode) return;
+  loopAsleep = false;
+  phaserGame.loop.wake(true);   // seamless: no catch-up delta after the pause
+}
+
+/** Any input (or a content change) resets the idle timer and wakes a sleeping loop. */
+function noteActivity() {
+  lastActivity = performance.now();
+  if (!document.hidden) wakeLoop();
+}
+
+/** Geometry invalidation on resize; loop sleep on hidden tabs, wake on input. */
+function watchFrameBudget() {
+  if (typeof ResizeObserver === 'function') {
+    const observer = new ResizeObserver(invalidateGeometry);
+    for (const id of ['game-area', 'game-container', 'callout']) observer.observe(document.getElementById(id));
+  } else {
+    window.addEventListener('resize', invalidateGeometry);
+  }
+
+  for (const type of ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'focusin']) {
+    document.addEventListener(type, noteActivity, { capture: true, passive: true });
+  }
+  window.addEventListener('popstate', noteActivity);
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) sleepLoop();
+    else noteActivity();
+  });
+  noteActivity();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Callout placement logic
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Place the callout near the station screen position, away from the player.
+ * Candidates: top-right, top-left, bottom-right, bottom-left.
+ * Picks the candidate that maximises distance from the player and stays in-viewport.
+ */
+function positionCallout(stationWorldX, stationWorldY) {
+  if (!activeScene) return;
+  const calloutEl = document.getElementById('callout');
+  if (!calloutEl || calloutEl.classList.contains('hidden')) return;
+
+  const { x: sx, y: sy } = activeScene.worldToScreen(stationWorldX, stationWorldY);
+  const { x: px, y: py } = activeScene.playerScreen();
+
+  // Callout + game area sizes (callout is positioned relative to #game-area)
+  const geo = readGeometry();
+  const cw  = geo.calloutW, ch = geo.calloutH;
+  const gaW = geo.areaW,    gaH = geo.areaH;
+
+  const OFF = CALLOUT_OFFSET;
+  const PAD = CALLOUT_VIEWPORT_PAD;
+
+  // Four candidate origins (top-left corner of callout)
+  const candidates = [
+    { name: 'top-right',    left: sx + OFF,      top: sy - ch - OFF  },
+    { name: 'top-left',     left: sx - cw - OFF, top: sy - ch - OFF  },
+    { name: 'bottom-right', left: sx + OFF,      top: sy + OFF       },
+    { name: 'bottom-left',  left: sx - cw - OFF, top: sy + OFF       },
+  ];
+
+  // Filter to candidates that fit within the game area with padding
+  const fits = candidates.filter(c =>
+    c.left >= PAD && c.top >= PAD &&
+    c.left + cw <= gaW - PAD &&
+    c.top  + ch <= gaH - PAD
+  );
+
+  // From fitting candidates, prefer the one farthest from the player
+  const pool = fits.length > 0 ? fits : candidates;
+  let best = pool[0], bestDist = -1;
+  for (const c of pool) {
+    const centrX = c.left + cw / 2;
+    const centrY = c.top  + ch / 2;
+    const d = Math.hypot(centrX - px, centrY - py);
+    if (d > bestDist) { bestDist = d; best = c; }
+  }
+
+  // Clamp to game area
+  const clampedLeft = Math.max(PAD, Math.min(best.left, gaW - cw - PAD));
+  const clampedTop  = Math.max(PAD, Math.min(best.top,  gaH - ch - PAD));
+
+  calloutEl.style.left = clampedLeft + 'px';
+  calloutEl.style.top  = clampedTop  + 'px';
+  calloutBox.left = clampedLeft;
+  calloutBox.top  = clampedTop;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  SVG Leader Line
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Elbow of the current leader line (callout edge → mid → station), kept so
+// the pulse dot can advance every frame without re-routing the line
+const leaderPath = { ex: 0, ey: 0, midX: 0, sx: 0, sy: 0 };
+
+function drawLeaderLine(stationWorldX, stationWorldY) {
+  if (!activeScene) return;
+  const svg = document.getElementById('leader-svg');
+  if (!svg) return;
+
+  const calloutEl = document.getElementById('callout');
+  if (!calloutEl || calloutEl.classList.contains('hidden')) {
+    clearLeaderLine(); return;
+  }
+
+  const { x: sx, y: sy } = activeScene.worldToScreen(stationWorldX, stationWorldY);
+
+  // Callout edge — find the closest point on the callout border to the station.
+  // The box is where positionCallout() put it (game-area-local, same coord
+  // system as worldToScreen), so no layout read is needed.
+  const geo     = readGeometry();
+  const cLeft   = calloutBox.left;
+  const cTop    = calloutBox.top;
+  const cRight  = cLeft + geo.calloutW;
+  const cBottom = cTop  + geo.calloutH;
+  const cCX = (cLeft + cRight)  / 2;
+  const cCY = (cTop  + cBottom) / 2;
+
+  // Clamp station→callout-centre vector to callout border
+  const dx = sx - cCX, dy = sy - cCY;
+  let ex, ey; // exit point on callout border
+  if (Math.abs(dx) === 0 && Math.abs(dy) === 0) { ex = cCX; ey = cTop; }
+  else {
+    const hw = (cRight - cLeft) / 2, hh = (cBottom - cTop) / 2;
+    const absDx = Math.abs(dx), absDy = Math.abs(dy);
+    if (absDx * hh > absDy * hw) {
+      // Exits through left or right
+      const t = hw / absDx;
+      ex = cCX + Math.sign(dx) * hw;
+      ey = cCY + dy * t;
+    } else {
+      // Exits through top or bottom
+      const t = hh / absDy;
+      ex = cCX + dx * t;
+      ey = cCY + Math.sign(dy) * hh;
+    }
+  }
+
+  // Orthogonal elbow: go horizontal then vertical (or vice-versa if shorter)
+  const midX = ex + (sx - ex) * 0.5;
+
+  // Build polyline points: callout-edge → mid-elbow → station
+  const pts = `${ex},${ey} ${midX},${ey} ${midX},${sy} ${sx},${sy}`;
+
+  // Upsert <polyline>
+  let line = svg.querySelector('.leader-line');
+  if (!line) {
+    line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+    line.setAttribute('class', 'leader-line');
+    svg.appendChild(line);
+  }
+  line.setAttribute('points', pts);
+  Object.assign(leaderPath, { ex, ey, midX, sx, sy });
+}
+
+/** Pulse dot travelling along the leader line (pulseT 0..1 from the callout edge). */
+function moveLeaderPulse(pulseT) {
+  const svg = document.getElementById('leader-svg');
+  if (!svg || !svg.firstChild) return;   // no line drawn yet
+  const { ex, ey, midX, sx, sy } = leaderPath;
+
+  // Simplified: interpolate along the elbow path segments
+  const totalDist = (
+    Math.hypot(midX - ex, 0) +
+    Math.hypot(0, sy - ey) +
+    Math.hypot(sx - midX, 0)
+  );
+  const traveled = pulseT * totalDist;
+  const seg1 = Math.abs(midX - ex);
+  const seg2 = Math.abs(sy   - ey);
 
   let dotX, dotY;
   if (traveled <= seg1) {
@@ -629,7 +3266,7 @@ function drawLeaderLine(stationWorldX, stationWorldY, pulseT) {
 
 function clearLeaderLine() {
   const svg = document.getElementById('leader-svg');
-  if (!svg) return;
+  if (!svg || !svg.firstChild) return;
   svg.innerHTML = '';
 }
 
@@ -646,11 +3283,85 @@ function onStationInteract(sectionId, worldX, worldY, moduleLabel) {
 
   // Update sidebar regardless
   updateSidebar(section, sectionId);
+  syncHash(sectionId);
+  markVisited(sectionId);
 
   // Open or update callout
   showCallout(section, sectionId, moduleLabel, worldX, worldY);
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+//  Module interior (decap): enter / leave InteriorScene
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Die components of a section: its `details` items if it has any, else one per bullet. */
+function interiorItems(section) {
+  if (section.details && section.details.length) {
+    return section.details.map(d => ({ title: d.title, text: d.bullets.map(b => '· ' + plainInline(b)).join('\n') }));
+  }
+  return section.bullets.map(b => ({ title: '', text: plainInline(b) }));
+}
+
+/** Worth decapping: more than the callout previews. */
+function hasInterior(section) {
+  return !!section && ((section.details && section.details.length > 0) ||
+                       section.bullets.length > CALLOUT_BULLET_PREVIEW);
+}
+
+/**
+ * Sleep the board and open a section's interior. The callout is only hidden
+ * (its state stays), so exitInterior() brings back the board as it was.
+ */
+function enterInterior(sectionId) {
+  const section = sectionMap[sectionId];
+  if (!activeScene || interiorSectionId || textMode || !hasInterior(section)) return;
+  interiorSectionId = sectionId;
+  activeScene.setOverview(false);
+  if (readoutSectionId !== sectionId) updateSidebar(section, sectionId);
+  document.getElementById('callout').classList.add('hidden');
+  clearLeaderLine();
+  document.body.classList.add('in-interior');
+  // sleep + run rather than switch: ScenePlugin.switch drops the data argument
+  activeScene.scene.sleep();
+  activeScene.scene.run('InteriorScene', { sectionId });
+  announce(`Inside ${section.title}: ${interiorItems(section).length} components. ` +
+           'Tab moves between them, Escape returns to the board.');
+}
+
+/** Back to the board: GameScene wakes where it slept; an open callout reappears. */
+function exitInterior() {
+  const interior = interiorScene();
+  if (!interior) return;
+  highlightDieItem(-1);
+  interiorSectionId = null;
+  document.body.classList.remove('in-interior');
+  // Through the scene plugin: queued for the next step, safe from its own input handlers
+  interior.scene.stop();
+  interior.scene.wake('GameScene');
+  if (calloutOpen) document.getElementById('callout').classList.remove('hidden');
+  announce('Back on the board');
+}
+
+function interiorScene() {
+  return interiorSectionId && phaserGame ? phaserGame.scene.getScene('InteriorScene') : null;
+}
+
+/** Mark the readout item of die component `index` (-1 = none) and read it out. */
+function highlightDieItem(index) {
+  document.querySelectorAll('.die-active').forEach(li => li.classList.remove('die-active'));
+  const section = sectionMap[interiorSectionId];
+  if (index < 0 || !section) return;
+  const useDetails = section.details && section.details.length;
+  const li = document.querySelectorAll(useDetails ? '#sidebar-details > li' : '#sidebar-bullets > li')[index];
+  if (li) {
+    li.classList.add('die-active');
+    li.scrollIntoView({ block: 'nearest' });
+  }
+  const items = interiorItems(section);
+  const item  = items[index];
+  announce(`U${index + 1} of ${items.length}: ${item.title ? item.title + '. ' : ''}${item.text}`);
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 //  Callout DOM functions
 // ─────────────────────────────────────────────────────────────────────────────
@@ -661,6 +3372,7 @@ function showCallout(section, sectionId, moduleLabel, worldX, worldY) {
   const el = document.getElementById('callout');
   document.getElementById('callout-label').textContent = moduleLabel || sectionId;
   document.getElementById('callout-title').textContent = section.title;
+  renderRoleHeader(document.getElementById('callout-role'), section, '');
 
   // Preview bullets (first N)
   const ul = document.getElementById('callout-bullets');
@@ -668,10 +3380,12 @@ function showCallout(section, sectionId, moduleLabel, worldX, worldY) {
   const preview = section.bullets.slice(0, CALLOUT_BULLET_PREVIEW);
   for (const b of preview) {
     const li = document.createElement('li');
-    li.textContent = b;
+    appendInline(li, b, '');
     ul.appendChild(li);
   }
 
+  renderCalloutMedia(section);
+  document.getElementById('callout-decap-btn').classList.toggle('hidden', !hasInterior(section));
   document.getElementById('callout-signal').textContent = '';
   el.classList.remove('hidden', 'signal-lost');
 
@@ -682,130 +3396,796 @@ function showCallout(section, sectionId, moduleLabel, worldX, worldY) {
 
   calloutOpen = true;
 
-  // Position after display (needs offsetWidth/Height)
-  requestAnimationFrame(() => {
-    positionCallout(worldX, worldY);
+  // New content, new size: the next frame re-measures and re-places it
+  invalidateGeometry();
+}
+
+function closeCallout() {
+  const el = document.getElementById('callout');
+  if (el) { el.classList.add('hidden'); el.classList.remove('signal-lost'); }
+  clearLeaderLine();
+  calloutOpen      = false;
+  calloutStationId = null;
+  // Allow re-opening the same station after explicit close
+  lastAutoOpenedId = null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Rich text: inline markdown in bullets, role header, link buttons
+// ─────────────────────────────────────────────────────────────────────────────
+
+// **bold**, `code`, [label](url) and bare http(s) URLs — nothing else, no nesting
+const INLINE_RE = /\*\*(.+?)\*\*|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"])/g;
+
+/** Split a bullet into [{ type: 'text' | 'strong' | 'code' | 'link', text, url, bare }]. */
+function parseInline(text) {
+  const tokens = [];
+  let pos = 0;
+  for (const m of text.matchAll(INLINE_RE)) {
+    if (m.index > pos) tokens.push({ type: 'text', text: text.slice(pos, m.index) });
+    if (m[1] !== undefined)      tokens.push({ type: 'strong', text: m[1] });
+    else if (m[2] !== undefined) tokens.push({ type: 'code', text: m[2] });
+    else if (m[3] !== undefined) tokens.push({ type: 'link', text: m[3], url: m[4] });
+    else                         tokens.push({ type: 'link', text: m[5], url: m[5], bare: true });
+    pos = m.index + m[0].length;
+  }
+  if (pos < text.length) tokens.push({ type: 'text', text: text.slice(pos) });
+  return tokens;
+}
+
+/** A bullet without its markup (search, canvas text, announcements). */
+function plainInline(text) {
+  return parseInline(text).map(t => t.text).join('');
+}
+
+/**
+ * Append a bullet to `parent` as DOM nodes — never through innerHTML, so
+ * content can't inject markup. Links keep to LINK_PROTOCOLS (anything else
+ * renders as its label). Search matches of `query` are highlighted.
+ */
+function appendInline(parent, text, query) {
+  for (const token of parseInline(text)) {
+    let el;
+    if (token.type === 'text' || (token.type === 'link' && !isWellFormedUrl(token.url))) {
+      appendHighlighted(parent, token.text, query);
+      continue;
+    }
+    if (token.type === 'link') {
+      el = document.createElement('a');
+      el.href = token.url;
+      el.target = '_blank';
+      el.rel = 'noopener noreferrer';
+      if (token.bare) el.className = 'bare-link';
+    } else {
+      el = document.createElement(token.type);
+    }
+    appendHighlighted(el, token.text, query);
+    parent.appendChild(el);
+  }
+}
+
+/**
+ * Header from the structured fields: "Role · Company" over "Location · dates"
+ * (`dates` as written, else the start/end range). The headline is left out
+ * when it is the title already. Null when there is nothing to show.
+ */
+function roleHeader(section) {
+  const range    = section.start !== undefined && sectionDates(section);
+  const dates    = section.dates || (range ? formatDateRange(range) : '');
+  const headline = [section.role, section.company].filter(Boolean).join(' · ');
+  const meta     = [section.location, dates].filter(Boolean).join(' · ');
+  const header   = { headline: headline === section.title ? '' : headline, meta };
+  return header.headline || header.meta ? header : null;
+}
+
+/** Fill a header element (.role-headline / .role-meta lines); hidden when empty. */
+function renderRoleHeader(el, section, query) {
+  el.innerHTML = '';
+  const header = roleHeader(section);
+  el.classList.toggle('hidden', !header);
+  if (!header) return;
+  for (const key of ['headline', 'meta']) {
+    if (!header[key]) continue;
+    const line = document.createElement('span');
+    line.className = `role-${key}`;
+    appendHighlighted(line, header[key], query);
+    el.appendChild(line);
+  }
+}
+
+/** One `.sidebar-link-btn` per entry of `links`. */
+function renderLinks(parent, links) {
+  parent.innerHTML = '';
+  for (const link of links || []) {
+    const a = document.createElement('a');
+    a.href = link.url;
+    a.textContent = link.label || link.url;
+    a.target = '_blank';
+    a.rel = 'noopener noreferrer';
+    a.className = 'sidebar-link-btn';
+    parent.appendChild(a);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Sidebar DOM functions
+// ─────────────────────────────────────────────────────────────────────────────
+
+function updateSidebar(section, sectionId) {
+  readoutSectionId = sectionId;
+
+  // Section ID tag
+  document.getElementById('sidebar-section-id').textContent = sectionId.toUpperCase();
+
+  // Title (search matches highlighted)
+  const titleEl = document.getElementById('sidebar-title');
+  titleEl.innerHTML = '';
+  appendHighlighted(titleEl, section.title, searchQuery);
+
+  // Role / company / location / dates
+  renderRoleHeader(document.getElementById('sidebar-role'), section, searchQuery);
+
+  // Bullets
+  const ul = document.getElementById('sidebar-bullets');
+  ul.innerHTML = '';
+  for (const b of section.bullets) {
+    const li = document.createElement('li');
+    appendInline(li, b, searchQuery);
+    ul.appendChild(li);
+  }
+
+  // Interior details (sub-items under their own headings)
+  renderDetails(section);
+
+  // Media thumbnails (images are only created now, when the section opens)
+  renderMediaStrip(section);
+
+  // Skill chips
+  renderSkillChips(section);
+
+  // Optional links
+  renderLinks(document.getElementById('sidebar-link'), section.links);
+
+  // Show content, hide empty state
+  document.getElementById('sidebar-empty').classList.add('hidden');
+  const contentEl = document.getElementById('sidebar-content');
+  contentEl.classList.remove('hidden');
+  // Re-trigger entry animation
+  contentEl.classList.remove('panel-anim');
+  void contentEl.offsetWidth;
+  contentEl.classList.add('panel-anim');
+
+  if (editMode) renderEditorForm(sectionId);
+
+  // Highlight active index item (and timeline strip row)
+  document.querySelectorAll('.index-item, .tl-row').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.sectionId === sectionId);
+  });
+
+  // Expand sidebar if collapsed (desktop) or open drawer (mobile)
+  const sidebar = document.getElementById('sidebar');
+  if (sidebar.classList.contains('collapsed')) {
+    // Only auto-expand on desktop (sidebar has fixed width)
+    if (window.innerWidth > 700) {
+      sidebar.classList.remove('collapsed');
+      document.getElementById('sidebar-toggle').setAttribute('aria-expanded', 'true');
+      document.getElementById('sidebar-toggle').textContent = '◀';
+    }
+  }
+  // Mobile: open drawer
+  if (window.innerWidth <= 700) {
+    sidebar.classList.add('drawer-open');
+  }
+}
+
+/** One `details` item: its title over a nested bullet list (search matches highlighted). */
+function renderDetail(detail, query) {
+  const li = document.createElement('li');
+  const title = document.createElement('span');
+  title.className = 'detail-title';
+  appendHighlighted(title, detail.title, query);
+  li.appendChild(title);
+  if (detail.bullets.length) {
+    const ul = document.createElement('ul');
+    for (const b of detail.bullets) {
+      const item = document.createElement('li');
+      appendInline(item, b, query);
+      ul.appendChild(item);
+    }
+    li.appendChild(ul);
+  }
+  return li;
+}
+
+function renderDetails(section) {
+  const ul = document.getElementById('sidebar-details');
+  ul.innerHTML = '';
+  ul.classList.toggle('hidden', !(section.details && section.details.length));
+  for (const d of section.details || []) ul.appendChild(renderDetail(d, searchQuery));
+}
+
+/** Back to the "no module selected" state (the shown section was removed). */
+function clearReadout() {
+  readoutSectionId = null;
+  document.getElementById('sidebar-section-id').textContent = 'NO MODULE SELECTED';
+  document.getElementById('sidebar-content').classList.add('hidden');
+  document.getElementById('sidebar-empty').classList.remove('hidden');
+  if (editMode) renderEditorForm(editorFormId);   // still editable if validation dropped it
+}
+
+/** Expand the sidebar (or open the mobile drawer) with the readout scrolled to the top. */
+function openReadout() {
+  const sidebar = document.getElementById('sidebar');
+  sidebar.classList.remove('collapsed');
+  if (window.innerWidth <= 700) sidebar.classList.add('drawer-open');
+  document.getElementById('sidebar-toggle').setAttribute('aria-expanded', 'true');
+  document.getElementById('sidebar-toggle').textContent = '◀';
+  // Scroll sidebar body to top so user sees the title
+  document.getElementById('sidebar-body').scrollTop = 0;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Media: readout thumbnail strip, callout preview, lightbox gallery
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Video URLs the lightbox plays itself; anything else (YouTube, Vimeo…) opens in a new tab
+const VIDEO_FILE_RE = /\.(mp4|webm|ogv|ogg)([?#]|$)/i;
+const lightbox = { section: null, index: 0, opener: null };
+
+/**
+ * <img> for a media item. Thumbnails (`thumb` file if given) are decorative
+ * inside their labelled button and load lazily; nothing is created at boot.
+ */
+function mediaImage(item, thumb) {
+  const img = document.createElement('img');
+  img.src      = (thumb && item.thumb) || item.src;
+  img.alt      = thumb ? '' : item.alt || item.caption || '';
+  img.decoding = 'async';
+  if (thumb) img.loading = 'lazy';
+  return img;
+}
+
+/** Thumbnail button that opens the lightbox at media[index]. */
+function mediaThumb(section, index, className) {
+  const item = section.media[index];
+  const btn  = document.createElement('button');
+  btn.type      = 'button';
+  btn.className = className;
+  btn.setAttribute('aria-label',
+    `${item.video ? 'Play video' : 'View image'}: ${item.caption || item.alt || `${index + 1} of ${section.media.length}`}`);
+  if (item.src) btn.appendChild(mediaImage(item, true));
+  if (item.video) {
+    const play = document.createElement('span');
+    play.className = 'media-play';
+    play.textContent = '▶';
+    btn.appendChild(play);
+  }
+  btn.addEventListener('click', () => openLightbox(section, index, btn));
+  return btn;
+}
+
+function renderMediaStrip(section) {
+  const strip = document.getElementById('sidebar-media');
+  strip.innerHTML = '';
+  const media = section.media || [];
+  strip.classList.toggle('hidden', !media.length);
+  media.forEach((_, i) => strip.appendChild(mediaThumb(section, i, 'media-thumb')));
+}
+
+/** First item previewed in the callout. */
+function renderCalloutMedia(section) {
+  const box = document.getElementById('callout-media');
+  box.innerHTML = '';
+  const has = !!(section.media && section.media.length);
+  box.classList.toggle('hidden', !has);
+  if (has) box.appendChild(mediaThumb(section, 0, 'callout-media-thumb'));
+}
+
+function openLightbox(section, index, opener) {
+  lightbox.section = section;
+  lightbox.index   = index;
+  lightbox.opener  = opener;
+  document.getElementById('lightbox-title').textContent = section.title;
+  const single = section.media.length === 1;
+  document.getElementById('lightbox-prev').classList.toggle('hidden', single);
+  document.getElementById('lightbox-next').classList.toggle('hidden', single);
+  showLightboxItem();
+  document.getElementById('lightbox').classList.remove('hidden');
+  document.getElementById('lightbox-close').focus();
+}
+
+function showLightboxItem() {
+  const media = lightbox.section.media;
+  const item  = media[lightbox.index];
+  const stage = document.getElementById('lightbox-stage');
+  stage.innerHTML = '';
+  if (item.video && VIDEO_FILE_RE.test(item.video)) {
+    const video = document.createElement('video');
+    video.src      = item.video;
+    video.controls = true;
+    video.preload  = 'metadata';
+    if (item.src) video.poster = item.src;
+    video.setAttribute('aria-label', item.alt || item.caption || 'Video');
+    stage.appendChild(video);
+  } else {
+    if (item.src) stage.appendChild(mediaImage(item, false));
+    if (item.video) {
+      const a = document.createElement('a');
+      a.href = item.video;
+      a.textContent = 'Watch video ↗';
+      a.target = '_blank';
+      a.rel = 'noopener noreferrer';
+      a.className = 'sidebar-link-btn';
+      stage.appendChild(a);
+    }
+  }
+  const caption = document.getElementById('lightbox-caption');
+  caption.textContent = item.caption || '';
+  caption.classList.toggle('hidden', !item.caption);
+  document.getElementById('lightbox-count').textContent = `${lightbox.index + 1} / ${media.length}`;
+}
+
+function stepLightbox(step) {
+  const n = lightbox.section.media.length;
+  lightbox.index = (lightbox.index + step + n) % n;
+  showLightboxItem();
+}
+
+/** Close (stopping any video) and hand focus back to the thumbnail that opened it. */
+function closeLightbox() {
+  const el = document.getElementById('lightbox');
+  if (el.classList.contains('hidden')) return;
+  el.classList.add('hidden');
+  document.getElementById('lightbox-stage').innerHTML = '';
+  const opener = lightbox.opener;
+  lightbox.section = null;
+  lightbox.opener  = null;
+  if (opener && opener.isConnected) opener.focus();
+}
+
+/**
+ * Lightbox keys: ← / → (Home / End) page, Esc closes, Tab stays inside. No
+ * key gets past it, so the board (arrows, M, R…) ignores the open gallery.
+ */
+function onLightboxKey(e) {
+  e.stopPropagation();
+  const n = lightbox.section ? lightbox.section.media.length : 0;
+  if (e.key === 'Escape') { e.preventDefault(); closeLightbox(); }
+  else if (e.key === 'ArrowLeft'  && n > 1) { e.preventDefault(); stepLightbox(-1); }
+  else if (e.key === 'ArrowRight' && n > 1) { e.preventDefault(); stepLightbox(1); }
+  else if (e.key === 'Home' && n > 1) { e.preventDefault(); lightbox.index = 0; showLightboxItem(); }
+  else if (e.key === 'End'  && n > 1) { e.preventDefault(); lightbox.index = n - 1; showLightboxItem(); }
+  else if (e.key === 'Tab') {
+    const stops = [...e.currentTarget.querySelectorAll('button, a[href], video')]
+      .filter(el => !el.closest('.hidden'));
+    const i = stops.indexOf(document.activeElement);
+    const next = e.shiftKey ? (i <= 0 ? stops.length - 1 : i - 1) : (i + 1) % stops.length;
+    e.preventDefault();
+    stops[next].focus();
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Index list population
+// ─────────────────────────────────────────────────────────────────────────────
+
+function buildIndexList() {
+  const ul = document.getElementById('sidebar-index-list');
+  ul.innerHTML = '';
+  searchHitIds.clear();
+
+  for (const section of Object.values(sectionMap)) {
+    if (!isOnTrack(section.id)) continue;
+    if (activeSkill && !sectionHasSkill(section, activeSkill)) continue;
+    const hits = searchQuery ? countSectionMatches(section, searchQuery) : 0;
+    if (searchQuery && hits === 0) continue;
+
+    const li  = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.className = 'index-item';
+    btn.dataset.sectionId = section.id;
+
+    if (searchQuery) {
+      searchHitIds.add(section.id);
+      const title = document.createElement('span');
+      title.className = 'index-title';
+      appendHighlighted(title, section.title, searchQuery);
+      const count = document.createElement('span');
+      count.className = 'index-count';
+      count.textContent = hits;
+      count.setAttribute('aria-label', `${hits} match${hits === 1 ? '' : 'es'}`);
+      btn.append(title, count);
+
+      const source = searchableTexts(section).find(t => t.toLowerCase().includes(searchQuery));
+      const snippet = document.createElement('span');
+      snippet.className = 'index-snippet';
+      appendHighlighted(snippet, snippetAround(source, searchQuery), searchQuery);
+      btn.appendChild(snippet);
+    } else {
+      btn.textContent = section.title;
+    }
+
+    btn.addEventListener('click', () => {
+      if (searchQuery) searchFocusId = section.id;
+      selectSection(section.id);
+    });
+    li.appendChild(btn);
+    ul.appendChild(li);
+  }
+
+  if (searchQuery && searchHitIds.size === 0) {
+    const li = document.createElement('li');
+    li.className = 'index-empty';
+    li.textContent = 'No matching modules.';
+    ul.appendChild(li);
+  }
+  renderVisitState();
+}
+
+/**
+ * Pick a section from outside the board (index list, minimap): load it in
+ * the readout, record it in history and send the probe to its station.
+ */
+function selectSection(sectionId) {
+  const section = sectionMap[sectionId];
+  if (!section) return;
+  syncHash(sectionId);
+  markVisited(sectionId);
+  if (textMode) { focusTextSection(sectionId); return; }
+  if (sectionId !== interiorSectionId) exitInterior();
+  updateSidebar(section, sectionId);
+  if (activeScene) activeScene.travelToStation(sectionId);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Index search (title, bullets + details across sectionMap)
+// ─────────────────────────────────────────────────────────────────────────────
+
+function countOccurrences(text, query) {
+  const hay = text.toLowerCase();
+  let n = 0;
+  for (let i = hay.indexOf(query); i !== -1; i = hay.indexOf(query, i + query.length)) n++;
+  return n;
+}
+
+/** Everything search looks at: title, role fields, bullets and `details` (markup stripped). */
+function searchableTexts(section) {
+  return [section.title, section.role, section.company, section.location, section.dates]
+    .filter(Boolean)
+    .concat(section.bullets.map(plainInline),
+            (section.details || []).flatMap(d => [d.title, ...d.bullets.map(plainInline)]));
+}
+
+function countSectionMatches(section, query) {
+  return searchableTexts(section).reduce((n, t) => n + countOccurrences(t, query), 0);
+}
+
+/** Up to SNIPPET_RADIUS characters either side of the first match, with ellipses. */
+function snippetAround(text, query) {
+  const at    = text.toLowerCase().indexOf(query);
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end   = Math.min(text.length, at + query.length + SNIPPET_RADIUS);
+  return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+}
+
+/** Append `text` to `parent`, wrapping case-insensitive matches of `query` in <mark>. */
+function appendHighlighted(parent, text, query) {
+  if (!query) { parent.appendChild(document.createTextNode(text)); return; }
+  const lower = text.toLowerCase();
+  let pos = 0;
+  for (let i = lower.indexOf(query); i !== -1; i = lower.indexOf(query, pos)) {
+    if (i > pos) parent.appendChild(document.createTextNode(text.slice(pos, i)));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(i, i + query.length);
+    parent.appendChild(mark);
+    pos = i + query.length;
+  }
+  if (pos < text.length) parent.appendChild(document.createTextNode(text.slice(pos)));
+}
+
+function setSearchQuery(raw) {
+  searchQuery = raw.trim().toLowerCase();
+  if (!searchQuery) searchFocusId = null;
+  buildIndexList();
+  // Re-highlight the open readout for the new query
+  if (readoutSectionId && sectionMap[readoutSectionId]) {
+    refreshReadoutHighlight(sectionMap[readoutSectionId]);
+  }
+}
+
+function refreshReadoutHighlight(section) {
+  const titleEl = document.getElementById('sidebar-title');
+  titleEl.innerHTML = '';
+  appendHighlighted(titleEl, section.title, searchQuery);
+  renderRoleHeader(document.getElementById('sidebar-role'), section, searchQuery);
+  const items = document.getElementById('sidebar-bullets').children;
+  section.bullets.forEach((b, i) => {
+    if (!items[i]) return;
+    items[i].innerHTML = '';
+    appendInline(items[i], b, searchQuery);
   });
+  renderDetails(section);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Skills ("where did you actually use X?")
+// ─────────────────────────────────────────────────────────────────────────────
+
+function sectionHasSkill(section, skill) {
+  const wanted = skill.toLowerCase();
+  return !!(section && section.skills) && section.skills.some(s => s.toLowerCase() === wanted);
+}
+
+/**
+ * Select a skill (or null to clear): filters the index to sections using it,
+ * animates the signal trace between their stations and marks chips active.
+ */
+function setSkill(skill) {
+  activeSkill = skill || null;
+
+  const banner = document.getElementById('skill-filter');
+  banner.classList.toggle('hidden', !activeSkill);
+  if (activeSkill) {
+    const n = Object.values(sectionMap).filter(sec => sectionHasSkill(sec, activeSkill)).length;
+    document.getElementById('skill-filter-name').textContent = activeSkill;
+    document.getElementById('skill-filter-count').textContent = `${n} module${n === 1 ? '' : 's'}`;
+  }
+
+  buildIndexList();
+  if (activeScene) activeScene.setSkillTrace(activeSkill);
+  if (readoutSectionId && sectionMap[readoutSectionId]) renderSkillChips(sectionMap[readoutSectionId]);
+}
+
+/** Clickable skill chips under the readout bullets. */
+function renderSkillChips(section) {
+  const wrap = document.getElementById('sidebar-skills');
+  wrap.innerHTML = '';
+  const skills = section.skills || [];
+  wrap.classList.toggle('hidden', skills.length === 0);
+  if (!skills.length) return;
+
+  const label = document.createElement('div');
+  label.className = 'skill-chips-label';
+  label.textContent = 'SKILLS — select to trace';
+  wrap.appendChild(label);
+
+  for (const skill of skills) {
+    const chip = document.createElement('button');
+    chip.className = 'skill-chip';
+    chip.textContent = skill;
+    const on = !!activeSkill && activeSkill.toLowerCase() === skill.toLowerCase();
+    chip.classList.toggle('active', on);
+    chip.setAttribute('aria-pressed', on ? 'true' : 'false');
+    chip.addEventListener('click', () => setSkill(on ? null : skill));
+    wrap.appendChild(chip);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Minimap (SVG overlay in #ui-overlay)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function svgEl(tag, attrs) {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+  return el;
+}
+
+function colorToCss(color) {
+  return '#' + color.toString(16).padStart(6, '0');
+}
+
+/** Draw the trace grid + one marker per station; the svg viewBox is world space. */
+function buildMinimap() {
+  const svg = document.getElementById('minimap');
+  svg.innerHTML = '';
+  svg.setAttribute('viewBox', `0 0 ${board.width} ${board.height}`);
+
+  svg.appendChild(svgEl('rect', { class: 'mm-board', x: 0, y: 0, width: board.width, height: board.height }));
+  for (const pts of layoutTraces()) {
+    svg.appendChild(svgEl('polyline', { class: 'mm-trace', points: pts.map(p => `${p.x},${p.y}`).join(' ') }));
+  }
+
+  for (const def of activeStationDefs()) {
+    const g = svgEl('g', { class: 'mm-station', 'data-section-id': def.id });
+    g.classList.toggle('visited', visitedIds.has(def.id));
+    g.classList.toggle('off-track', !isOnTrack(def.id));
+    const color = colorToCss(parseStationColor(def.color));
+    g.appendChild(svgEl('rect', {
+      x: def.x - 55, y: def.y - 32, width: 110, height: 64, rx: 6,
+      stroke: color, fill: color,
+    }));
+    const title = svgEl('title', {});
+    title.textContent = def.label;
+    g.appendChild(title);
+    g.addEventListener('click', (e) => {
+      e.stopPropagation();   // not a "click outside callout"
+      selectSection(def.id);
+    });
+    svg.appendChild(g);
+  }
+
+  svg.appendChild(svgEl('rect', { class: 'mm-view', id: 'minimap-view', x: 0, y: 0, width: 0, height: 0 }));
+  svg.appendChild(svgEl('circle', { class: 'mm-probe', id: 'minimap-probe', cx: -100, cy: -100, r: 22 }));
+  overlayDirty = true;   // place the new probe/view marks on the next frame
 }
 
-function closeCallout() {
-  const el = document.getElementById('callout');
-  if (el) { el.classList.add('hidden'); el.classList.remove('signal-lost'); }
-  clearLeaderLine();
-  calloutOpen      = false;
-  calloutStationId = null;
-  // Allow re-opening the same station after explicit close
-  lastAutoOpenedId = null;
+/** Per-frame: move the probe marker and the camera viewport frame. */
+function updateMinimapViewport(player, view) {
+  const probe = document.getElementById('minimap-probe');
+  if (!probe) return;
+  probe.setAttribute('cx', player.x);
+  probe.setAttribute('cy', player.y);
+  const frame = document.getElementById('minimap-view');
+  frame.setAttribute('x', view.x);
+  frame.setAttribute('y', view.y);
+  frame.setAttribute('width', view.width);
+  frame.setAttribute('height', view.height);
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-//  Sidebar DOM functions
+//  Audience tracks (?track=<tag>)
 // ─────────────────────────────────────────────────────────────────────────────
 
-function updateSidebar(section, sectionId) {
-  // Section ID tag
-  document.getElementById('sidebar-section-id').textContent = sectionId.toUpperCase();
-
-  // Title
-  document.getElementById('sidebar-title').textContent = section.title;
-
-  // Bullets
-  const ul = document.getElementById('sidebar-bullets');
-  ul.innerHTML = '';
-  for (const b of section.bullets) {
-    const li = document.createElement('li');
-    li.textContent = b;
-    ul.appendChild(li);
+/** Every tag used by a section, in first-seen order. */
+function availableTracks() {
+  const tags = [];
+  for (const section of Object.values(sectionMap)) {
+    for (const tag of section.tags || []) if (!tags.includes(tag)) tags.push(tag);
   }
+  return tags;
+}
 
-  // Optional link
-  const lw = document.getElementById('sidebar-link');
-  lw.innerHTML = '';
-  if (section.link) {
-    const a = document.createElement('a');
-    a.href = section.link.url;
-    a.textContent = section.link.label;
-    a.target = '_blank';
-    a.rel = 'noopener noreferrer';
-    a.className = 'sidebar-link-btn';
-    lw.appendChild(a);
-  }
+/** Untagged sections belong to every track. */
+function isOnTrack(sectionId) {
+  if (!activeTrack) return true;
+  const tags = sectionMap[sectionId] && sectionMap[sectionId].tags;
+  return !tags || tags.length === 0 || tags.includes(activeTrack);
+}
 
-  // Show content, hide empty state
-  document.getElementById('sidebar-empty').classList.add('hidden');
-  const contentEl = document.getElementById('sidebar-content');
-  contentEl.classList.remove('hidden');
-  // Re-trigger entry animation
-  contentEl.classList.remove('panel-anim');
-  void contentEl.offsetWidth;
-  contentEl.classList.add('panel-anim');
+/**
+ * What the readout opens a track with: the first section (in resume.json
+ * order) tagged with the track, else the first one the track shows.
+ */
+function trackLeadSectionId() {
+  const ids = Object.keys(sectionMap).filter(isOnTrack);
+  const own = ids.find(id => (sectionMap[id].tags || []).includes(activeTrack));
+  return own || ids[0] || null;
+}
 
-  // Highlight active index item
-  document.querySelectorAll('.index-item').forEach(btn => {
-    btn.classList.toggle('active', btn.dataset.sectionId === sectionId);
-  });
+/**
+ * Switch audience track: restyle the board and minimap, refilter the index
+ * and text article, open the track's summary, and mirror it in ?track= so
+ * the focused view can be shared as a link.
+ */
+function setTrack(track, updateUrl) {
+  activeTrack = track && availableTracks().includes(track) ? track : null;
+  document.getElementById('track-select').value = activeTrack || '';
+
+  if (updateUrl) {
+    const url = new URL(location.href);
+    if (activeTrack) url.searchParams.set('track', activeTrack);
+    else url.searchParams.delete('track');
+    history.replaceState(history.state, '', url);
+  }
 
-  // Expand sidebar if collapsed (desktop) or open drawer (mobile)
-  const sidebar = document.getElementById('sidebar');
-  if (sidebar.classList.contains('collapsed')) {
-    // Only auto-expand on desktop (sidebar has fixed width)
-    if (window.innerWidth > 700) {
-      sidebar.classList.remove('collapsed');
-      document.getElementById('sidebar-toggle').setAttribute('aria-expanded', 'true');
-      document.getElementById('sidebar-toggle').textContent = '◀';
-    }
+  buildIndexList();
+  buildMinimap();
+  renderVisitState();   // progress counts the track's sections only
+  if (activeScene) activeScene.applyTrack();
+  if (textMode) renderTextMode();
+
+  // Opening a section the new track dims makes no sense
+  if (calloutStationId && !isOnTrack(calloutStationId)) closeCallout();
+  if (activeTrack && !sectionIdFromHash()) {
+    const lead = trackLeadSectionId();
+    if (lead && !textMode) updateSidebar(sectionMap[lead], lead);
   }
-  // Mobile: open drawer
-  if (window.innerWidth <= 700) {
-    sidebar.classList.add('drawer-open');
+}
+
+/** Fill the sidebar track selector; hidden when no section carries tags. */
+function buildTrackSelect() {
+  const select = document.getElementById('track-select');
+  const tracks = availableTracks();
+  select.innerHTML = '';
+  const all = document.createElement('option');
+  all.value = '';
+  all.textContent = 'All tracks';
+  select.appendChild(all);
+  for (const tag of tracks) {
+    const opt = document.createElement('option');
+    opt.value = tag;
+    opt.textContent = tag.charAt(0).toUpperCase() + tag.slice(1);
+    select.appendChild(opt);
   }
+  document.getElementById('track-picker').classList.toggle('hidden', tracks.length === 0);
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-//  Index list population
+//  Visit tracking ("modules inspected" progress)
 // ─────────────────────────────────────────────────────────────────────────────
 
-function buildIndexList() {
-  const ul = document.getElementById('sidebar-index-list');
-  ul.innerHTML = '';
-  for (const section of Object.values(sectionMap)) {
-    const li  = document.createElement('li');
-    const btn = document.createElement('button');
-    btn.className = 'index-item';
-    btn.textContent = section.title;
-    btn.dataset.sectionId = section.id;
-    btn.addEventListener('click', () => {
-      updateSidebar(section, section.id);
-      // Optionally: show callout-less readout when selecting from index
-      // (no station interaction needed — sidebar updates directly)
-    });
-    li.appendChild(btn);
-    ul.appendChild(li);
+const VISITED_KEY = 'resume.visited';   // JSON array of section ids
+
+/** Restore the inspected set, dropping ids that no longer exist. */
+function loadVisited() {
+  let ids = [];
+  try { ids = JSON.parse(storageGet(VISITED_KEY) || '[]'); } catch (_) { /* corrupt — start over */ }
+  visitedIds.clear();
+  for (const id of Array.isArray(ids) ? ids : []) if (sectionMap[id]) visitedIds.add(id);
+}
+
+function markVisited(sectionId) {
+  if (visitedIds.has(sectionId)) return;
+  const wasComplete = isTourComplete();
+  visitedIds.add(sectionId);
+  storageSet(VISITED_KEY, JSON.stringify([...visitedIds]));
+  renderVisitState();
+  if (!wasComplete && isTourComplete()) {
+    const banner = document.getElementById('progress-complete');
+    banner.classList.remove('just-completed');
+    void banner.offsetWidth;
+    banner.classList.add('just-completed');
   }
 }
 
+function resetVisited() {
+  visitedIds.clear();
+  storageSet(VISITED_KEY, null);
+  renderVisitState();
+}
+
+/** The tour is the active track's sections (all of them with no track). */
+function isTourComplete() {
+  const ids = Object.keys(sectionMap).filter(isOnTrack);
+  return ids.length > 0 && ids.every(id => visitedIds.has(id));
+}
+
+/** Push the inspected set into the progress readout, index list and minimap. */
+function renderVisitState() {
+  const ids   = Object.keys(sectionMap).filter(isOnTrack);
+  const total = ids.length;
+  const done  = ids.filter(id => visitedIds.has(id)).length;
+  const scope = activeTrack ? `${activeTrack.toUpperCase()} ` : '';
+
+  document.getElementById('progress-text').textContent = `${done} / ${total} ${scope}MODULES INSPECTED`;
+  document.getElementById('progress-complete-label').textContent = `✓ ALL ${scope}MODULES INSPECTED`;
+  document.getElementById('progress-fill').style.width = total ? `${(done / total) * 100}%` : '0';
+  document.getElementById('progress-complete').classList.toggle('hidden', !isTourComplete());
+
+  document.querySelectorAll('.index-item').forEach(btn => {
+    btn.classList.toggle('visited', visitedIds.has(btn.dataset.sectionId));
+  });
+  document.querySelectorAll('#minimap .mm-station').forEach(marker => {
+    marker.classList.toggle('visited', visitedIds.has(marker.dataset.sectionId));
+  });
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 //  DOM event wiring
 // ─────────────────────────────────────────────────────────────────────────────
 
 function setupDOM() {
   // Callout close button
-  document.getElementById('callout-close').addEventListener('click', closeCallout);
+  document.getElementById('callout-close').addEventListener('click', () => {
+    closeCallout();
+    focusBoard();
+  });
 
   // "Open in Readout" button (sidebar is already updated on interact; just focuses/expands it)
   document.getElementById('callout-open-btn').addEventListener('click', () => {
-    const sidebar = document.getElementById('sidebar');
-    sidebar.classList.remove('collapsed');
-    if (window.innerWidth <= 700) sidebar.classList.add('drawer-open');
-    document.getElementById('sidebar-toggle').setAttribute('aria-expanded', 'true');
-    document.getElementById('sidebar-toggle').textContent = '◀';
-    // Scroll sidebar body to top so user sees the title
-    document.getElementById('sidebar-body').scrollTop = 0;
+    openReadout();
+    focusReadout();
   });
 
+  // On-screen analog stick (coarse pointers only)
+  setupTouchStick();
+
   // Click outside callout to close
   document.getElementById('game-area').addEventListener('click', (e) => {
-    if (!e.target.closest('#callout')) closeCallout();
+    if (!e.target.closest('#callout') && !interiorSectionId) closeCallout();
   });
 
   // Sidebar collapse/expand
@@ -824,9 +4204,169 @@ function setupDOM() {
     }
   });
 
-  // Esc closes callout only (sidebar persists)
+  // Text / map mode toggle (explicit choice is remembered)
+  const modeToggle = document.getElementById('mode-toggle');
+  modeToggle.addEventListener('click', () => setTextMode(!textMode, true));
+  if (!canvasSupported()) {
+    modeToggle.disabled = true;
+    modeToggle.title = 'This browser cannot draw the PCB board';
+  }
+
+  // Overview (whole board) toggle
+  const toggleOverview = () => {
+    if (activeScene && !interiorSectionId) activeScene.setOverview(!activeScene.inOverview());
+  };
+  document.getElementById('overview-toggle').addEventListener('click', toggleOverview);
+
+  // Module interior: the callout's Decap button (or I) enters the module
+  // the probe is at; I again, or Esc, climbs back out
+  document.getElementById('callout-decap-btn').addEventListener('click', () => {
+    if (calloutStationId) enterInterior(calloutStationId);
+  });
+
+  // Free / rail movement toggle (remembered)
+  document.getElementById('rail-toggle').addEventListener('click', () => setRailMode(!railMode, true));
+
+  // Single-key board shortcuts, from anywhere but a text field. A held key
+  // toggles once: auto-repeat is ignored.
+  const shortcuts = {
+    m: toggleOverview,
+    i: () => {
+      if (interiorSectionId) exitInterior();
+      else if (activeScene) activeScene.decapCurrentStation();
+    },
+    r: () => setRailMode(!railMode, true),
+  };
+  document.addEventListener('keydown', (e) => {
+    const action = shortcuts[e.key.toLowerCase()];
+    if (!action || e.repeat || e.ctrlKey || e.metaKey || e.altKey || isTextField(e.target) || textMode) return;
+    action();
+  });
+
+  // Board / timeline layout toggle (remembered)
+  document.getElementById('layout-toggle').addEventListener('click', () =>
+    setLayoutMode(layoutMode === 'timeline' ? 'board' : 'timeline', true));
+
+  // Skip link: jump straight into the text résumé
+  document.getElementById('skip-to-text').addEventListener('click', (e) => {
+    e.preventDefault();
+    if (!textMode) setTextMode(true, false);
+    document.getElementById('text-mode').focus();
+  });
+
+  // Back / forward (and hand-edited hashes) revisit sections
+  window.addEventListener('popstate', () => applyHash(true));
+
+  // Print résumé (also rebuilt for the browser's own Print command)
+  document.getElementById('print-btn').addEventListener('click', printResume);
+  window.addEventListener('beforeprint', buildPrintResume);
+
+  // Skill filter banner: clear
+  document.getElementById('skill-filter-clear').addEventListener('click', () => setSkill(null));
+
+  // Audience track selector
+  document.getElementById('track-select').addEventListener('change', (e) => {
+    setTrack(e.target.value || null, true);
+  });
+
+  // Theme picker + live system preference changes (unless a theme was chosen)
+  document.getElementById('theme-select').addEventListener('change', (e) => {
+    setTheme(e.target.value, true);
+  });
+  for (const query of ['(prefers-color-scheme: light)', '(prefers-contrast: more)']) {
+    window.matchMedia(query).addEventListener('change', () => {
+      if (!storageGet(THEME_KEY)) applyTheme(preferredThemeId());
+    });
+  }
+
+  // Visit progress: reset + completion prompt actions
+  document.getElementById('progress-reset').addEventListener('click', resetVisited);
+  document.getElementById('complete-print').addEventListener('click', printResume);
+  document.getElementById('complete-contact').addEventListener('click', downloadVCard);
+
+  // Contact card: generate + download .vcf
+  document.getElementById('contact-save').addEventListener('click', downloadVCard);
+
+  // Diagnostics overlay (non-fatal) dismiss
+  document.getElementById('diagnostics-dismiss').addEventListener('click', closeDiagnostics);
+
+  // Media lightbox: buttons, backdrop click, keyboard (see onLightboxKey)
+  const lightboxEl = document.getElementById('lightbox');
+  document.getElementById('lightbox-close').addEventListener('click', closeLightbox);
+  document.getElementById('lightbox-prev').addEventListener('click', () => stepLightbox(-1));
+  document.getElementById('lightbox-next').addEventListener('click', () => stepLightbox(1));
+  lightboxEl.addEventListener('click', (e) => { if (e.target === lightboxEl) closeLightbox(); });
+  lightboxEl.addEventListener('keydown', onLightboxKey);
+
+  // Index search: live filter; Esc clears and leaves the box
+  const search = document.getElementById('index-search');
+  search.addEventListener('input', () => setSearchQuery(search.value));
+  search.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    search.value = '';
+    setSearchQuery('');
+    search.blur();
+  });
+
+  // While a text field has focus the probe ignores WASD/arrows
+  document.addEventListener('focusin', (e) => {
+    typingInField = isTextField(e.target);
+    syncGameKeyboard();
+  });
+  document.addEventListener('focusout', () => {
+    typingInField = false;
+    syncGameKeyboard();
+  });
+
+  // "/" jumps to the search box (unless already typing somewhere)
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey || isTextField(e.target)) return;
+    e.preventDefault();
+    const sidebar = document.getElementById('sidebar');
+    if (sidebar.classList.contains('collapsed') || window.innerWidth <= 700) openReadout();
+    search.focus();
+    search.select();
+  });
+
+  // Board keyboard focus: Tab / Shift-Tab cycle the modules, Enter / E
+  // open the focused one (or the one the probe is at) and move to the readout
+  const boardEl = document.getElementById('game-container');
+  boardEl.addEventListener('keydown', (e) => {
+    if (e.target !== boardEl || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.key === 'Tab' && interiorSectionId) {
+      if (interiorScene().cycleFocus(e.shiftKey ? -1 : 1)) e.preventDefault();
+    } else if (e.key === 'Tab') {
+      if (cycleStationFocus(e.shiftKey ? -1 : 1)) e.preventDefault();
+    } else if (interiorSectionId) {
+      return;
+    } else if ((e.key === 'Enter' || e.key.toLowerCase() === 'e') && activeScene) {
+      e.preventDefault();
+      if (focusedStationId) activeScene.openStation(focusedStationId);
+      else activeScene.openCurrentStation();
+      if (readoutSectionId) focusReadout();
+    }
+  });
+
+  // Esc closes callout only (sidebar persists); from the callout or readout
+  // it also hands keyboard focus back to the board
   document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') closeCallout();
+    if (e.key !== 'Escape') return;
+    if (!document.getElementById('diagnostics').classList.contains('hidden')) {
+      closeDiagnostics();
+      return;
+    }
+    if (interiorSectionId) {
+      exitInterior();
+      return;
+    }
+    if (activeScene && activeScene.inOverview()) {
+      activeScene.setOverview(false);
+      return;
+    }
+    const from = document.activeElement;
+    closeCallout();
+    if (from && from.closest && from.closest('#callout, #sidebar-body')) focusBoard();
   });
 
   // Mobile: init toggle button label
@@ -836,44 +4376,580 @@ function setupDOM() {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+//  Dev mode: hot reload of resume.json (?dev)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DEV_POLL_MS = 1500;
+// Validators of the loaded resume.json; `text` covers servers that send neither
+const contentVersion = { etag: null, lastModified: null, text: null };
+
+function isDevMode() {
+  return new URLSearchParams(location.search).has('dev');
+}
+
+function rememberContentVersion(res, text) {
+  contentVersion.etag         = res.headers.get('ETag');
+  contentVersion.lastModified = res.headers.get('Last-Modified');
+  contentVersion.text         = text;
+}
+
+/** Conditional GET of resume.json; reloads on change, then schedules itself again. */
+async function pollContent() {
+  const headers = {};
+  if (contentVersion.etag)         headers['If-None-Match']     = contentVersion.etag;
+  if (contentVersion.lastModified) headers['If-Modified-Since'] = contentVersion.lastModified;
+  try {
+    const res = await fetch('./content/resume.json', { headers, cache: 'no-store' });
+    if (res.status === 304 || !res.ok) return;
+    const text = await res.text();
+    if (text === contentVersion.text) return;
+    rememberContentVersion(res, text);
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (parseErr) {
+      showDiagnostics([{ level: 'error', where: 'resume.json',
+        message: `not valid JSON — ${parseErr.message} (still showing the previous version)` }], false);
+      return;
+    }
+    const issues = reloadContent(data);
+    if (issues.length) showDiagnostics(issues, false);
+    else closeDiagnostics();
+
+    // The DEV badge flashes to show the reload
+    const badge = document.getElementById('dev-badge');
+    badge.classList.remove('reloaded');
+    void badge.offsetWidth;
+    badge.classList.add('reloaded');
+  } catch (err) {
+    console.warn('[Resume] dev reload failed:', err);
+  } finally {
+    setTimeout(pollContent, DEV_POLL_MS);
+  }
+}
+
+/**
+ * Apply changed resume.json data (dev reload or the ?edit editor) to the
+ * running page: sections are diffed into sectionMap, the index/minimap/
+ * timeline rebuilt, the open readout and callout refreshed in place and
+ * station modules synced in the live scene. The probe keeps its position;
+ * if the board geometry itself changed the scene is redrawn around it.
+ * Theme changes still need a full reload. Returns the validation issues.
+ */
+function reloadContent(data) {
+  noteActivity();   // the board may be asleep (see watchFrameBudget)
+  const previous  = sectionMap;
+  const prevBoard = board;
+  const { sections, defs, board: nextBoard, issues } = validateResume(data);
+  if (sections.length === 0) {
+    issues.push({ level: 'error', where: 'resume.json', message: 'no usable sections — still showing the previous version' });
+    return issues;
+  }
+
+  exitInterior();   // its components were built from the old content
+  closeLightbox();
+  sectionMap = {};
+  for (const sec of sections) sectionMap[sec.id] = sec;
+  stationDefs = defs;
+  board = nextBoard;
+  applyMeta(data.meta);
+
+  buildTrackSelect();
+  if (activeTrack && !availableTracks().includes(activeTrack)) activeTrack = null;
+  document.getElementById('track-select').value = activeTrack || '';
+  buildTimelineDefs();
+  buildTimelineStrip();
+  if (layoutMode === 'timeline' && !timelineDefs.length) setLayoutMode('board', false);
+  buildIndexList();
+  buildMinimap();
+  if (textMode) renderTextMode();
+
+  const changed = id => JSON.stringify(previous[id]) !== JSON.stringify(sectionMap[id]);
+  if (readoutSectionId) {
+    if (!sectionMap[readoutSectionId]) clearReadout();
+    else if (changed(readoutSectionId)) updateSidebar(sectionMap[readoutSectionId], readoutSectionId);
+  }
+  if (calloutStationId) {
+    const def = activeStationDefs().find(d => d.id === calloutStationId);
+    if (!def) closeCallout();
+    else showCallout(sectionMap[def.id], def.id, def.label, def.x, def.y);
+  }
+
+  if (activeScene) {
+    const geometryChanged = JSON.stringify(board) !== JSON.stringify(prevBoard);
+    if (geometryChanged) activeScene.redraw();
+    else activeScene.syncStations();
+  }
+
+  return issues;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Visual editor (?edit): drag stations, edit sections, export resume.json
+// ─────────────────────────────────────────────────────────────────────────────
+
+const EDIT_DRAFT_KEY = 'resume.editDraft';   // JSON working copy, restored on the next ?edit visit
+const SECTION_ID_RE  = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+let editorFormId     = null;   // section the readout form currently holds
+let editorIssues     = [];     // validation issues of the working copy
+
+function isEditMode() {
+  return new URLSearchParams(location.search).has('edit');
+}
+
+function editorSection(id) {
+  return resumeData.sections.find(sec => sec && sec.id === id) || null;
+}
+
+/** The section's station spec (its own block, else its `layout` entry); `create` adds an empty block. */
+function editorStation(section, create) {
+  const spec = stationSpec(section, resumeData.layout || {});
+  if (spec && typeof spec === 'object') return spec;
+  if (!create) return null;
+  section.station = {};
+  return section.station;
+}
+
+function hasPosition(spec) {
+  return (Number.isInteger(spec.col) && Number.isInteger(spec.row)) ||
+         (Number.isFinite(spec.x) && Number.isFinite(spec.y));
+}
+
+/**
+ * Push the working copy through the same path as a dev reload (validated
+ * clone → live page), keep it as the local draft and list what the
+ * validator found.
+ */
+function applyEdit() {
+  editorIssues = reloadContent(JSON.parse(JSON.stringify(resumeData)));
+  storageSet(EDIT_DRAFT_KEY, JSON.stringify(resumeData));
+  renderIssueList(document.getElementById('editor-issues'), editorIssues);
+  const errors = editorIssues.filter(i => i.level === 'error').length;
+  setEditorStatus(editorIssues.length
+    ? `Draft saved · ${errors} error${errors === 1 ? '' : 's'} · ${editorIssues.length - errors} warning${editorIssues.length - errors === 1 ? '' : 's'}`
+    : 'Draft saved · no issues');
+  if (editorFormId) renderEditorForm(editorFormId);
+}
+
+function setEditorStatus(message) {
+  document.getElementById('editor-status').textContent = message;
+}
+
+function showEditorError(message) {
+  const el = document.getElementById('edit-error');
+  el.textContent = message;
+  el.classList.toggle('hidden', !message);
+}
+
+/**
+ * Fill the readout form for a section. Field values are only (re)written
+ * when the form switches section, so re-renders after an edit never steal
+ * focus or undo half-typed input; the station position line always updates.
+ */
+function renderEditorForm(sectionId) {
+  const section = editorSection(sectionId);
+  const form    = document.getElementById('sidebar-editor');
+  if (!section) { hideEditorForm(); return; }
+  form.classList.remove('hidden');
+
+  const field = id => document.getElementById(id);
+  const spec  = editorStation(section, false);
+  const def   = stationDefs.find(d => d.id === sectionId);
+
+  if (editorFormId !== sectionId) {
+    editorFormId = sectionId;
+    showEditorError('');
+    field('edit-id').value         = section.id;
+    field('edit-title').value      = section.title || '';
+    for (const key of ROLE_FIELDS) field(`edit-${key}`).value = section[key] || '';
+    field('edit-bullets').value    = (section.bullets || []).join('\n');
+    renderEditorLinks(section);
+    field('edit-label').value      = (spec && spec.label) || '';
+    field('edit-group').value      = (spec && spec.group) || '';
+
+    const color = spec && spec.color;
+    const keyword = typeof color === 'string' && color.trim().toLowerCase() in STATION_COLOR_KEYWORDS;
+    field('edit-color').value = color === undefined || color === null ? ''
+      : keyword ? color.trim().toLowerCase() : 'custom';
+    field('edit-color-custom').value = '#' + parseStationColor(color === undefined ? 'neon' : color)
+      .toString(16).padStart(6, '0');
+  }
+
+  field('edit-on-map').checked = !!def;
+  field('edit-station').disabled = !spec;
+  field('edit-color-custom').classList.toggle('hidden', field('edit-color').value !== 'custom');
+  const col = def ? board.cols.indexOf(def.x) : -1;
+  const row = def ? board.rows.indexOf(def.y) : -1;
+  field('edit-position').textContent = !def ? 'Not on the board'
+    : col < 0 || row < 0 ? `Fixed at ${Math.round(def.x)}, ${Math.round(def.y)}`
+    : `${spec && hasPosition(spec) ? 'Pinned' : 'Auto'} · col ${col} · row ${row}`;
+}
+
+/** One label / URL / remove row per link; a `link` shorthand is listed first, as validation merges it. */
+function renderEditorLinks(section) {
+  const rows  = document.getElementById('edit-link-rows');
+  rows.innerHTML = '';
+  const links = [].concat(section.link || [], Array.isArray(section.links) ? section.links : []);
+  for (const link of links) rows.appendChild(editorLinkRow(link));
+}
+
+function editorLinkRow(link) {
+  const row = document.createElement('div');
+  row.className = 'editor-link-row';
+  for (const [key, placeholder] of [['label', 'Label'], ['url', 'https://…']]) {
+    const input = document.createElement('input');
+    input.className = 'editor-input editor-link-input';
+    input.dataset.key = key;
+    input.placeholder = placeholder;
+    input.setAttribute('aria-label', `Link ${key}`);
+    input.spellcheck = key !== 'url';
+    input.value = (link && link[key]) || '';
+    row.appendChild(input);
+  }
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'sidebar-action-btn';
+  remove.textContent = '✕';
+  remove.setAttribute('aria-label', 'Remove link');
+  remove.addEventListener('click', () => {
+    row.remove();
+    writeEditorLinks();
+  });
+  row.appendChild(remove);
+  return row;
+}
+
+/** The link rows are the source of truth: rows with a URL become `links`, replacing any `link`. */
+function writeEditorLinks() {
+  const section = editorFormId && editorSection(editorFormId);
+  if (!section) return;
+  const links = [];
+  for (const row of document.querySelectorAll('#edit-link-rows .editor-link-row')) {
+    const value = key => row.querySelector(`[data-key="${key}"]`).value.trim();
+    const url = value('url'), label = value('label');
+    if (url) links.push(label ? { label, url } : { url });
+  }
+  delete section.link;
+  if (links.length) section.links = links;
+  else delete section.links;
+  applyEdit();
+}
+
+function editorAddLink() {
+  const row = editorLinkRow(null);
+  document.getElementById('edit-link-rows').appendChild(row);
+  row.querySelector('input').focus();
+}
+
+function hideEditorForm() {
+  editorFormId = null;
+  document.getElementById('sidebar-editor').classList.add('hidden');
+}
+
+/** A form field was committed (change event): write it into the working copy. */
+function onEditorField(el) {
+  const section = editorFormId && editorSection(editorFormId);
+  if (!section) return;
+  const value = el.value.trim();
+  showEditorError('');
+  if (el.classList.contains('editor-link-input')) {
+    writeEditorLinks();
+    return;
+  }
+
+  switch (el.id) {
+    case 'edit-id':
+      renameSection(section, value);
+      return;
+    case 'edit-title':
+    case 'edit-role':
+    case 'edit-company':
+    case 'edit-location':
+    case 'edit-dates': {
+      // Empty fields are removed, so a cleared title is rebuilt from role · company
+      const key = el.id.slice('edit-'.length);
+      if (value) section[key] = value;
+      else delete section[key];
+      break;
+    }
+    case 'edit-bullets':
+      section.bullets = el.value.split('\n').map(b => b.trim()).filter(Boolean);
+      break;
+    case 'edit-on-map':
+      if (el.checked) editorStation(section, true);
+      else {
+        section.station = false;   // not just absent: STATIONS would put it back
+        if (resumeData.layout) delete resumeData.layout[section.id];
+      }
+      break;
+    case 'edit-label':
+    case 'edit-group': {
+      const key  = el.id === 'edit-label' ? 'label' : 'group';
+      const spec = editorStation(section, true);
+      if (value) spec[key] = value;
+      else delete spec[key];
+      break;
+    }
+    case 'edit-color':
+    case 'edit-color-custom': {
+      const choice = document.getElementById('edit-color').value;
+      const spec   = editorStation(section, true);
+      if (!choice) delete spec.color;    // group default
+      else spec.color = choice === 'custom'
+        ? document.getElementById('edit-color-custom').value.toUpperCase()
+        : choice;
+      break;
+    }
+    default:
+      return;
+  }
+  applyEdit();
+}
+
+/** Rename a section (and its `layout` entry); empty, malformed and duplicate ids are refused. */
+function renameSection(section, newId) {
+  const field = document.getElementById('edit-id');
+  if (newId === section.id) return;
+  let problem = null;
+  if (!SECTION_ID_RE.test(newId)) problem = 'IDs use lower-case letters, digits and single hyphens';
+  else if (editorSection(newId)) problem = `"${newId}" is already used by another section`;
+  if (problem) {
+    showEditorError(problem);
+    field.value = section.id;
+    return;
+  }
+
+  const layout = resumeData.layout;
+  if (layout && layout[section.id]) {
+    layout[newId] = layout[section.id];
+    delete layout[section.id];
+  }
+  if (calloutStationId === section.id) closeCallout();
+  section.id = newId;
+  readoutSectionId = editorFormId = newId;   // keep the readout (and form) on the renamed section
+  applyEdit();
+}
+
+/**
+ * Move a dragged station to the trace intersection nearest (x, y). A taken
+ * cell is refused. The first manual move pins every auto-placed station at
+ * its current col/row, so rearranging one module never reshuffles the rest.
+ */
+function editorMoveStation(id, x, y) {
+  const section = editorSection(id);
+  const current = stationDefs.find(d => d.id === id);
+  if (!section || !current) return;
+  const col = nearestIndex(board.cols, x);
+  const row = nearestIndex(board.rows, y);
+  const cx = board.cols[col], cy = board.rows[row];
+  if (cx === current.x && cy === current.y) return;
+  const other = stationDefs.find(d => d.id !== id && d.x === cx && d.y === cy);
+  if (other) {
+    setEditorStatus(`Col ${col} · row ${row} is taken by "${other.id}"`);
+    return;
+  }
+
+  for (const def of stationDefs) {
+    const sec  = def.id === id ? section : editorSection(def.id);
+    const spec = sec && editorStation(sec, def.id === id);
+    if (!spec) continue;
+    if (def.id === id) {
+      delete spec.x; delete spec.y; delete spec.snap;
+      spec.col = col;
+      spec.row = row;
+    } else if (!hasPosition(spec)) {
+      spec.col = board.cols.indexOf(def.x);
+      spec.row = board.rows.indexOf(def.y);
+    }
+  }
+  applyEdit();
+}
+
+/** Drop the shown station's col/row (or x/y) so buildStationDefs places it again. */
+function editorAutoPlace() {
+  const section = editorFormId && editorSection(editorFormId);
+  const spec    = section && editorStation(section, false);
+  if (!spec) return;
+  for (const key of ['col', 'row', 'x', 'y', 'snap']) delete spec[key];
+  applyEdit();
+}
+
+function editorNewSection() {
+  let n = resumeData.sections.length + 1;
+  while (editorSection(`section-${n}`)) n++;
+  const id = `section-${n}`;
+  resumeData.sections.push({ id, title: 'New section', bullets: [], station: {} });
+  applyEdit();
+  updateSidebar(sectionMap[id], id);
+  openReadout();
+  document.getElementById('edit-title').focus();
+}
+
+function editorDeleteSection() {
+  const id = editorFormId;
+  if (!id || !confirm(`Delete section "${id}"? This cannot be undone (except with Discard draft).`)) return;
+  resumeData.sections = resumeData.sections.filter(sec => !sec || sec.id !== id);
+  if (resumeData.layout) delete resumeData.layout[id];
+  hideEditorForm();
+  applyEdit();
+}
+
+/** Download the working copy as resume.json (after a confirm if it still has errors). */
+function exportResume() {
+  const errors = editorIssues.filter(i => i.level === 'error').length;
+  if (errors && !confirm(`The draft has ${errors} validation error${errors === 1 ? '' : 's'}. Export anyway?`)) return;
+  const blob = new Blob([JSON.stringify(resumeData, null, 2) + '\n'], { type: 'application/json' });
+  downloadBlob(blob, 'resume.json');
+  setEditorStatus('Exported resume.json — replace content/resume.json with it');
+}
+
+/** Forget the local draft and go back to the served resume.json. */
+function discardDraft() {
+  if (!confirm('Discard the draft and reload content/resume.json?')) return;
+  resumeData = JSON.parse(contentVersion.text);
+  editorFormId = null;
+  applyEdit();
+  storageSet(EDIT_DRAFT_KEY, null);
+  setEditorStatus('Draft discarded');
+}
+
+/**
+ * Saved draft, or null if there is none or it would not boot (bad JSON, no
+ * usable section) — the served file is edited instead.
+ */
+function loadEditDraft() {
+  const saved = storageGet(EDIT_DRAFT_KEY);
+  if (!saved) return null;
+  try {
+    return validateResume(JSON.parse(saved)).sections.length ? JSON.parse(saved) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function setupEditor() {
+  document.body.classList.add('edit-mode');
+  document.getElementById('editor-panel').classList.remove('hidden');
+
+  const form = document.getElementById('sidebar-editor');
+  form.addEventListener('submit', e => e.preventDefault());
+  form.addEventListener('change', e => onEditorField(e.target));
+  // The custom swatch only matters once "Custom" is picked
+  document.getElementById('edit-color').addEventListener('input', e =>
+    document.getElementById('edit-color-custom').classList.toggle('hidden', e.target.value !== 'custom'));
+  document.getElementById('edit-auto-place').addEventListener('click', editorAutoPlace);
+  document.getElementById('edit-link-add').addEventListener('click', editorAddLink);
+  document.getElementById('edit-delete').addEventListener('click', editorDeleteSection);
+  document.getElementById('editor-export').addEventListener('click', exportResume);
+  document.getElementById('editor-new').addEventListener('click', editorNewSection);
+  document.getElementById('editor-discard').addEventListener('click', discardDraft);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Phaser bootstrap
+// ─────────────────────────────────────────────────────────────────────────────
+
+function startGame() {
+  phaserGame = new Phaser.Game({
+    type:            Phaser.AUTO,
+    parent:          'game-container',
+    backgroundColor: currentTheme.bg,
+    scale: {
+      mode:       Phaser.Scale.FIT,
+      autoCenter: Phaser.Scale.CENTER_BOTH,
+      width:      800,
+      height:     600,
+    },
+    physics: {
+      default: 'arcade',
+      arcade:  { gravity: { y: 0 }, debug: false },
+    },
+    input: { gamepad: true, activePointers: 2 },   // two touches for pinch zoom
+    scene: [GameScene, InteriorScene],
+  });
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 //  Entry Point
 // ─────────────────────────────────────────────────────────────────────────────
 
 (async () => {
   const loader = document.getElementById('loading');
+  applyTheme(preferredThemeId());   // built-ins only until resume.json is in
   try {
     const res = await fetch('./content/resume.json');
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const data = await res.json();
-    for (const s of data.sections) sectionMap[s.id] = s;
+    if (!res.ok) throw new Error(`resume.json request failed (HTTP ${res.status})`);
+    const text = await res.text();
+    rememberContentVersion(res, text);
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (parseErr) {
+      throw new Error(`resume.json is not valid JSON — ${parseErr.message}`);
+    }
+    editMode = isEditMode();
+    if (editMode) {
+      data = loadEditDraft() || data;
+      resumeData = JSON.parse(JSON.stringify(data));   // validateResume edits what it's given
+    }
+
+    const { sections, defs, board: nextBoard, issues } = validateResume(data);
+    if (sections.length === 0) {
+      issues.push({ level: 'error', where: 'resume.json', message: 'no usable sections — nothing to show' });
+      showDiagnostics(issues, true);
+      return;
+    }
+    for (const s of sections) sectionMap[s.id] = s;
+    stationDefs = defs;
+    board = nextBoard;
+    loadThemes(data.theme);
+    applyTheme(preferredThemeId());
 
     if (loader) loader.remove();
     setupDOM();
+    watchFrameBudget();
+    if (editMode) setupEditor();
+    applyMeta(data.meta);
+    loadVisited();
+    buildTrackSelect();
+    buildThemeSelect();
+    const requestedTrack = new URLSearchParams(location.search).get('track');
+    if (requestedTrack && !availableTracks().includes(requestedTrack)) {
+      console.warn('[Resume] unknown track:', requestedTrack);
+    }
+    activeTrack = availableTracks().includes(requestedTrack) ? requestedTrack : null;
+    document.getElementById('track-select').value = activeTrack || '';
     buildIndexList();
+    buildTimelineDefs();
+    buildTimelineStrip();
+    setLayoutMode(storageGet(LAYOUT_KEY), false);
+    setRailMode(storageGet(RAIL_KEY) === '1', false);
+    if (issues.length) showDiagnostics(issues, false);
+
+    if (prefersTextMode()) setTextMode(true, false);
+    else startGame();
+    // Deep link: probe spawns beside the station (see _createPlayer); the
+    // sidebar is loaded here so station-less sections work too. Without one,
+    // a track link opens with that track's summary.
+    if (sectionIdFromHash()) applyHash(false);
+    else if (activeTrack && !textMode) {
+      const lead = trackLeadSectionId();
+      if (lead) updateSidebar(sectionMap[lead], lead);
+    }
 
-    new Phaser.Game({
-      type:            Phaser.AUTO,
-      parent:          'game-container',
-      backgroundColor: '#0A0F1C',
-      scale: {
-        mode:       Phaser.Scale.FIT,
-        autoCenter: Phaser.Scale.CENTER_BOTH,
-        width:      800,
-        height:     600,
-      },
-      physics: {
-        default: 'arcade',
-        arcade:  { gravity: { y: 0 }, debug: false },
-      },
-      scene: GameScene,
-    });
+    if (editMode) {
+      editorIssues = issues;
+      renderIssueList(document.getElementById('editor-issues'), issues);
+      setEditorStatus(storageGet(EDIT_DRAFT_KEY) ? 'Editing the saved draft' : 'Editing content/resume.json');
+    } else if (isDevMode()) {
+      document.getElementById('dev-badge').classList.remove('hidden');
+      setTimeout(pollContent, DEV_POLL_MS);
+    }
 
   } catch (err) {
     console.error('[Resume] load error:', err);
-    if (loader) {
-      loader.textContent = `BOOT ERROR: ${err.message}`;
-      loader.style.color = '#FF4466';
-    }
+    showDiagnostics([{ level: 'error', where: 'boot', message: err.message }], true);
   }
 })();